@@ -1,550 +1,4433 @@
+import { breathingPatterns, getPattern as findPattern, patternUsesPhaseTime, clampPhaseTime } from './session-engine.js';
+import { visualizations, getVisualization as findVisualization, hexToRgba } from './box-breathing.js';
+import { GroupSession, createRoomCode, normalizeRoomCode } from './group-session.js';
+import { messages as englishMessages } from './locales/en.js';
+
+// The page around the <box-breathing> component: start screen, settings,
+// cues, history and the rest. The component's engine runs the session.
 document.addEventListener('DOMContentLoaded', () => {
     const app = document.getElementById('app-content');
-    const canvas = document.getElementById('box-canvas');
-    const ctx = canvas ? canvas.getContext('2d') : null;
-    if (!app || !canvas || !ctx) {
+    const breathing = document.querySelector('box-breathing');
+    if (!app || !breathing) {
         return;
     }
-    const layoutHost = canvas.parentElement || document.querySelector('.container');
-    const initialWidth = layoutHost ? layoutHost.clientWidth : canvas.clientWidth;
-    const initialHeight = layoutHost ? layoutHost.clientHeight : canvas.clientHeight;
+    const engine = breathing.engine;
 
     const state = {
-        isPlaying: false,
-        count: 0,
-        countdown: 4,
-        totalTime: 0,
+        // main | stats | presets | preset-edit | plan-edit | reminders |
+        // check-in | journal | journal-edit (only while idle)
+        view: 'main',
+        history: null,
+        historyError: null,
+        // Journal entries joined with their sessions, newest first
+        journal: null,
+        journalError: null,
+        // pattern | duration: how the journal averages are grouped
+        journalGroup: 'pattern',
+        editingEntry: null,
+        checkInEnabled: false,
+        // Journal entry for the session under way, while check-ins are on
+        checkIn: null,
+        // Group breathing: display name, relay server URL ('' for this
+        // browser only) and the room code being typed or in use
+        groupName: '',
+        relayUrl: '',
+        groupRoom: '',
+        presets: [],
+        editingPreset: null,
+        editingIndex: null,
+        oneMinuteAnnounced: false,
         soundEnabled: false,
+        cueStyle: 'chime',
+        volume: 0.8,
+        holdTicks: false,
+        ambientEnabled: false,
+        // Level of each soundscape layer, 0–1; see ambientLayers
+        ambientLevels: null,
+        voiceEnabled: false,
+        voiceURI: '',
+        voiceRate: 1,
+        voiceVerbosity: 'standard',
+        hapticsEnabled: false,
+        hapticHoldTicks: false,
         timeLimit: '',
-        sessionComplete: false,
-        timeLimitReached: false,
+        // minutes | cycles: what the limit field on the start screen counts
+        limitUnit: 'minutes',
+        cycleLimit: '',
+        // elapsed | remaining-time | remaining-cycles
+        timerDisplay: 'elapsed',
+        // auto | one of the theme ids
+        theme: 'auto',
+        // auto | one of the locale ids
+        locale: 'auto',
+        // Daily reminders: { id, time: 'HH:MM', days: [0-6, Sunday first] }
+        reminders: [],
         phaseTime: 4,
-        pulseStartTime: null,
-        devicePixelRatio: Math.min(window.devicePixelRatio || 1, 1.75),
-        viewportWidth: initialWidth,
-        viewportHeight: initialHeight,
-        prefersReducedMotion: false,
-        hasStarted: false
+        patternId: 'box',
+        visualization: 'dots',
+        // '' for a single session bounded by the time limit, else a plan id
+        planId: '',
+        customPlan: null,
+        planDraft: null,
+        // auto | normal | low
+        powerMode: 'auto',
+        batteryLow: false
     };
 
     let wakeLock = null;
     let audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
     const icons = {
-        play: `<svg class="icon" viewBox="0 0 24 24"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
-        pause: `<svg class="icon" viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
-        volume2: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path></svg>`,
-        volumeX: `<svg class="icon" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>`,
-        rotateCcw: `<svg class="icon" viewBox="0 0 24 24"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>`,
-        clock: `<svg class="icon" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`
+        play: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
+        pause: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
+        volume2: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M19.07 4.93a10 10 0 0 1 0 14.14M15.54 8.46a5 5 0 0 1 0 7.07"></path></svg>`,
+        volumeX: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>`,
+        stop: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><rect x="5" y="5" width="14" height="14" rx="2"></rect></svg>`,
+        download: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`,
+        upload: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line></svg>`,
+        bell: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path></svg>`,
+        link: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>`,
+        barChart: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>`,
+        plus: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+        edit: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>`,
+        trash: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path><path d="M10 11v6M14 11v6"></path><path d="M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"></path></svg>`,
+        arrowUp: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><line x1="12" y1="19" x2="12" y2="5"></line><polyline points="5 12 12 5 19 12"></polyline></svg>`,
+        arrowDown: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><line x1="12" y1="5" x2="12" y2="19"></line><polyline points="19 12 12 19 5 12"></polyline></svg>`,
+        rotateCcw: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>`,
+        pictureInPicture: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><rect x="2" y="4" width="20" height="16" rx="2"></rect><rect x="12" y="11" width="7" height="6" rx="1"></rect></svg>`,
+        book: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path></svg>`,
+        users: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><path d="M23 21v-2a4 4 0 0 0-3-3.87"></path><path d="M16 3.13a4 4 0 0 1 0 7.75"></path></svg>`,
+        clock: `<svg class="icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`
     };
 
-    function getInstruction(count) {
-        switch (count) {
-            case 0: return 'Inhale';
-            case 1: return 'Hold';
-            case 2: return 'Exhale';
-            case 3: return 'Wait';
-            default: return '';
+    // Localization. Every user-facing string lives in a catalog module under
+    // locales/, keyed by message id; `{name}` placeholders are filled in by
+    // t(). Plural messages hold one form per Intl.PluralRules category and go
+    // through tn(), which also provides `{count}`. English is always loaded
+    // and is the fallback for missing messages; the other catalogs are loaded
+    // when first used. An unknown id comes back as itself. 'auto' follows
+    // navigator.languages.
+    const locales = [
+        { id: 'en', name: 'English' },
+        { id: 'de', name: 'Deutsch' },
+        { id: 'es', name: 'Español' },
+        { id: 'ja', name: '日本語' },
+        { id: 'ar', name: 'العربية', dir: 'rtl' }
+    ];
+    const catalogs = { en: englishMessages };
+
+    function findLocale(language) {
+        return locales.find(locale => locale.id === language) || null;
+    }
+
+    // The first of the browser's languages we have a catalog for, keeping
+    // its region (de-AT stays de-AT) for number and date formatting.
+    function detectLocale() {
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language || 'en'];
+        const match = preferred.find(tag => typeof tag === 'string' && findLocale(tag.split('-')[0].toLowerCase()));
+        return match || 'en';
+    }
+
+    let resolvedLocale = null;
+
+    function getLocale() {
+        if (!resolvedLocale || resolvedLocale.setting !== state.locale) {
+            resolvedLocale = {
+                setting: state.locale,
+                tag: state.locale === 'auto' ? detectLocale() : state.locale
+            };
         }
+        return resolvedLocale.tag;
     }
 
-    // Orange, Yellow, Blue, Green
-    const phaseColors = ['#f97316', '#fbbf24', '#38bdf8', '#22c55e'];
+    function getLanguage(locale = getLocale()) {
+        return locale.split('-')[0].toLowerCase();
+    }
 
-    function hexToRgba(hex, alpha) {
-        const normalized = hex.replace('#', '');
-        const bigint = parseInt(normalized, 16);
-        const r = (bigint >> 16) & 255;
-        const g = (bigint >> 8) & 255;
-        const b = bigint & 255;
-        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    function getTextDirection(locale = getLocale()) {
+        const { dir } = findLocale(getLanguage(locale)) || {};
+        return dir || 'ltr';
     }
 
-    function resizeCanvas() {
-        const currentSizingElement = layoutHost || document.body;
-        if (!currentSizingElement) {
-            return;
+    // Resolves once the language's catalog is loaded, or has failed to
+    // load, in which case its messages come from English.
+    function loadCatalog(language) {
+        if (catalogs[language] || !findLocale(language)) {
+            return Promise.resolve();
         }
+        return import(`./locales/${language}.js`)
+            .then(module => {
+                catalogs[language] = module.messages;
+            })
+            .catch(err => {
+                console.error(`Failed to load ${language} messages:`, err);
+                catalogs[language] = {};
+            });
+    }
 
-        const rect = currentSizingElement.getBoundingClientRect();
-        const width = rect.width;
-        const height = rect.height;
-        const pixelRatio = Math.min(window.devicePixelRatio || 1, 1.75);
+    // Intl formatters are costly to create, so they are kept per locale.
+    const formatters = new Map();
+
+    function getFormatter(Formatter, options = {}) {
+        const locale = getLocale();
+        const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+        let formatter = formatters.get(key);
+        if (!formatter) {
+            try {
+                formatter = new Formatter(locale, options);
+            } catch (err) {
+                formatter = new Formatter('en', options);
+            }
+            formatters.set(key, formatter);
+        }
+        return formatter;
+    }
+
+    function formatNumber(value, options) {
+        return getFormatter(Intl.NumberFormat, options).format(value);
+    }
+
+    function formatList(items) {
+        return typeof Intl.ListFormat === 'function'
+            ? getFormatter(Intl.ListFormat, { type: 'conjunction' }).format(items)
+            : items.join(', ');
+    }
+
+    function lookupMessage(key) {
+        const catalog = catalogs[getLanguage()] || catalogs.en;
+        return catalog[key] !== undefined ? catalog[key] : catalogs.en[key];
+    }
+
+    function fillPlaceholders(template, params) {
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+    }
+
+    function t(key, params = {}) {
+        const message = lookupMessage(key);
+        if (typeof message !== 'string') {
+            return key;
+        }
+        return fillPlaceholders(message, params);
+    }
+
+    function tn(key, count, params = {}) {
+        const forms = lookupMessage(key);
+        if (!forms || typeof forms !== 'object') {
+            return key;
+        }
+        const category = getFormatter(Intl.PluralRules).select(count);
+        return fillPlaceholders(forms[category] || forms.other, { ...params, count: formatNumber(count) });
+    }
 
-        state.viewportWidth = width;
-        state.viewportHeight = height;
-        state.devicePixelRatio = pixelRatio;
+    // Options for a <select>, named from the catalog by `${prefix}.${id}`.
+    function localizeOptions(options, prefix) {
+        return options.map(option => ({ id: option.id, name: t(`${prefix}.${option.id}`) }));
+    }
+
+    function getLanguageOptions() {
+        return [{ id: 'auto', name: t('language.auto') }].concat(locales);
+    }
+
+    // Short weekday names, Sunday first like Date#getDay.
+    function getWeekdayNames() {
+        const format = getFormatter(Intl.DateTimeFormat, { weekday: 'short' });
+        // 7 January 2024 was a Sunday.
+        return [0, 1, 2, 3, 4, 5, 6].map(day => format.format(new Date(2024, 0, 7 + day)));
+    }
+
+    // Updates everything outside #app-content that depends on the language,
+    // and has the next render rebuild the current screen in it.
+    function applyLocale() {
+        const locale = getLocale();
+        document.documentElement.lang = locale;
+        document.documentElement.dir = getTextDirection(locale);
+        document.title = t('app.title');
+        // Each catalog has a manifest beside manifest.json (English), so an
+        // install names the app and its shortcuts in the language in use.
+        const manifestLink = document.querySelector('link[rel="manifest"]');
+        if (manifestLink) {
+            const language = getLanguage(locale);
+            manifestLink.setAttribute('href', language === 'en' || !findLocale(language) ? 'manifest.json' : `manifest.${language}.json`);
+        }
+        setText(document.getElementById('offline-notification'), t('banner.offline'));
+        setText(document.getElementById('update-message'), t('banner.update'));
+        setText(document.getElementById('update-reload'), t('banner.reload'));
+        // Shown by the component itself in Picture-in-Picture.
+        breathing.labels = {
+            ...Object.fromEntries(breathingPatterns.flatMap(pattern => pattern.phases)
+                .map(phase => [phase.label, t(`phase.${phase.label}`)])),
+            paused: t('session.paused'),
+            complete: t('complete.title'),
+            start: t('action.start'),
+            pause: t('action.pause'),
+            resume: t('action.resume'),
+            stop: t('action.end')
+        };
+        localizedPlans = null;
+        currentScreen = null;
+    }
+
+    // Loads the catalog for the language in use, then applies it and
+    // re-renders. Until it arrives, messages come from English.
+    function updateLocale() {
+        const language = getLanguage();
+        return loadCatalog(language).then(() => {
+            if (getLanguage() === language) {
+                applyLocale();
+                render();
+            }
+        });
+    }
+
+    window.addEventListener('languagechange', () => {
+        resolvedLocale = null;
+        if (state.locale === 'auto') {
+            updateLocale();
+        }
+    });
+
+    // Patterns live in session-engine.js and are named by `pattern.<id>`
+    // messages; their phase labels by `phase.<label>` messages.
+    function getPattern(id = state.patternId) {
+        return findPattern(id);
+    }
 
-        canvas.style.width = `${width}px`;
-        canvas.style.height = `${height}px`;
-        canvas.width = Math.floor(width * pixelRatio);
-        canvas.height = Math.floor(height * pixelRatio);
+    function getInstruction(phase) {
+        return phase ? t(`phase.${phase.label}`) : '';
+    }
+
+    // User settings and quick-start presets, persisted in localStorage.
+    const SETTINGS_KEY = 'box-breathing-settings';
+
+    // Named in the language in use when they are first created.
+    function getDefaultPresets() {
+        return [2, 5, 10].map(minutes => ({
+            id: `default-${minutes}`,
+            name: t('preset.default', { minutes }),
+            minutes,
+            patternId: 'box',
+            phaseTime: 4,
+            soundEnabled: null
+        }));
+    }
+
+    function clampVolume(value) {
+        const volume = parseFloat(value);
+        return Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0.8;
+    }
+
+    function clampVoiceRate(value) {
+        const rate = parseFloat(value);
+        return Number.isFinite(rate) ? Math.min(1.5, Math.max(0.5, rate)) : 1;
+    }
 
-        if (ctx) {
-            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    // Coerces anything read from storage into a well-formed preset.
+    function normalizePreset(preset) {
+        const minutes = parseInt(preset.minutes);
+        return {
+            id: typeof preset.id === 'string' && preset.id ? preset.id : createRecordId(),
+            name: typeof preset.name === 'string' && preset.name.trim() ? preset.name.trim().slice(0, 40) : t('preset.fallback'),
+            minutes: minutes > 0 ? Math.min(minutes, 999) : null,
+            patternId: getPattern(preset.patternId).id,
+            phaseTime: clampPhaseTime(preset.phaseTime),
+            soundEnabled: typeof preset.soundEnabled === 'boolean' ? preset.soundEnabled : null
+        };
+    }
+
+    function readSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            return stored && typeof stored === 'object' ? stored : null;
+        } catch (err) {
+            console.error('Failed to read settings:', err);
+            return null;
         }
+    }
 
-        if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, phase: state.count });
+    function loadSettings(stored = readSettings()) {
+        if (!stored) {
+            state.presets = getDefaultPresets();
+            return;
         }
+        applySettings(stored);
+    }
+
+    function getLocaleSetting(id) {
+        return locales.some(locale => locale.id === id) ? id : 'auto';
+    }
+
+    // Copies a stored (or imported) settings object into state, falling back
+    // to defaults for anything missing or malformed.
+    function applySettings(stored) {
+        state.locale = getLocaleSetting(stored.locale);
+        state.soundEnabled = stored.soundEnabled === true;
+        state.cueStyle = cueStyles.some(style => style.id === stored.cueStyle) ? stored.cueStyle : 'chime';
+        state.volume = clampVolume(stored.volume);
+        state.holdTicks = stored.holdTicks === true;
+        state.voiceEnabled = stored.voiceEnabled === true;
+        state.hapticsEnabled = stored.hapticsEnabled === true;
+        state.hapticHoldTicks = stored.hapticHoldTicks === true;
+        state.checkInEnabled = stored.checkInEnabled === true;
+        state.groupName = typeof stored.groupName === 'string' ? stored.groupName.slice(0, 40) : '';
+        state.relayUrl = typeof stored.relayUrl === 'string' && isRelayUrl(stored.relayUrl) ? stored.relayUrl : '';
+        state.ambientEnabled = stored.ambientEnabled === true;
+        state.ambientLevels = normalizeAmbientLevels(stored.ambientLevels);
+        state.voiceURI = typeof stored.voiceURI === 'string' ? stored.voiceURI : '';
+        state.voiceRate = clampVoiceRate(stored.voiceRate);
+        state.voiceVerbosity = voiceVerbosityLevels.some(level => level.id === stored.voiceVerbosity)
+            ? stored.voiceVerbosity
+            : 'standard';
+        state.phaseTime = clampPhaseTime(stored.phaseTime);
+        state.patternId = getPattern(stored.patternId).id;
+        state.visualization = findVisualization(stored.visualization).id;
+        state.powerMode = powerModes.some(mode => mode.id === stored.powerMode) ? stored.powerMode : 'auto';
+        state.customPlan = normalizePlan(stored.customPlan);
+        state.planId = getAvailablePlans().some(plan => plan.id === stored.planId) ? stored.planId : '';
+        state.timeLimit = typeof stored.timeLimit === 'string' ? stored.timeLimit.replace(/[^0-9]/g, '') : '';
+        state.limitUnit = stored.limitUnit === 'cycles' ? 'cycles' : 'minutes';
+        state.cycleLimit = typeof stored.cycleLimit === 'string' ? stored.cycleLimit.replace(/[^0-9]/g, '') : '';
+        state.timerDisplay = timerDisplays.includes(stored.timerDisplay) ? stored.timerDisplay : 'elapsed';
+        state.theme = themes.some(theme => theme.id === stored.theme) ? stored.theme : 'auto';
+        state.reminders = Array.isArray(stored.reminders)
+            ? stored.reminders.filter(reminder => reminder && typeof reminder === 'object').map(normalizeReminder)
+            : [];
+        state.presets = Array.isArray(stored.presets)
+            ? stored.presets.filter(preset => preset && typeof preset === 'object').map(normalizePreset)
+            : getDefaultPresets();
     }
 
-    window.addEventListener('resize', resizeCanvas, { passive: true });
+    function getSettingsSnapshot() {
+        return {
+            soundEnabled: state.soundEnabled,
+            cueStyle: state.cueStyle,
+            volume: state.volume,
+            holdTicks: state.holdTicks,
+            voiceEnabled: state.voiceEnabled,
+            hapticsEnabled: state.hapticsEnabled,
+            hapticHoldTicks: state.hapticHoldTicks,
+            checkInEnabled: state.checkInEnabled,
+            groupName: state.groupName,
+            relayUrl: state.relayUrl,
+            ambientEnabled: state.ambientEnabled,
+            ambientLevels: state.ambientLevels,
+            voiceURI: state.voiceURI,
+            voiceRate: state.voiceRate,
+            voiceVerbosity: state.voiceVerbosity,
+            phaseTime: state.phaseTime,
+            patternId: state.patternId,
+            visualization: state.visualization,
+            powerMode: state.powerMode,
+            planId: state.planId,
+            customPlan: state.customPlan,
+            timeLimit: state.timeLimit,
+            limitUnit: state.limitUnit,
+            cycleLimit: state.cycleLimit,
+            timerDisplay: state.timerDisplay,
+            theme: state.theme,
+            locale: state.locale,
+            reminders: state.reminders,
+            presets: state.presets
+        };
+    }
 
-    function updateMotionPreference(event) {
-        state.prefersReducedMotion = event.matches;
-        if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, phase: state.count });
+    function saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(getSettingsSnapshot()));
+        } catch (err) {
+            console.error('Failed to save settings:', err);
         }
     }
 
-    const motionQuery = typeof window.matchMedia === 'function'
-        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Themes are named by `theme.<id>` messages. Each pairs the CSS custom
+    // properties in index.html, selected through data-theme on <html>, with
+    // a canvas palette for the phase colours and the stats heatmap. 'auto'
+    // follows prefers-contrast, then prefers-color-scheme.
+    const themes = [
+        {
+            id: 'dark',
+            background: '#000000',
+            phases: { inhale: '#f97316', hold: '#fbbf24', exhale: '#38bdf8', rest: '#22c55e' },
+            heatmap: { fill: '#f59e0b', empty: 'rgba(255, 255, 255, 0.06)' }
+        },
+        {
+            id: 'light',
+            background: '#fffbeb',
+            phases: { inhale: '#ea580c', hold: '#a16207', exhale: '#0369a1', rest: '#15803d' },
+            heatmap: { fill: '#d97706', empty: 'rgba(146, 64, 14, 0.08)' }
+        },
+        {
+            id: 'high-contrast',
+            background: '#000000',
+            phases: { inhale: '#ffb000', hold: '#ffffff', exhale: '#00d0ff', rest: '#00ff7f' },
+            heatmap: { fill: '#ffe600', empty: 'rgba(255, 255, 255, 0.25)' }
+        },
+        {
+            // Okabe–Ito colours that stay distinct with deuteranopia and
+            // protanopia: no phase relies on telling red, orange and green apart.
+            id: 'colorblind',
+            background: '#000000',
+            phases: { inhale: '#e69f00', hold: '#f5f5f5', exhale: '#56b4e9', rest: '#cc79a7' },
+            heatmap: { fill: '#56b4e9', empty: 'rgba(255, 255, 255, 0.06)' }
+        }
+    ];
+
+    const themeOptions = [{ id: 'auto' }].concat(themes);
+
+    const colorSchemeQuery = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-color-scheme: light)')
         : null;
+    const contrastQuery = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-contrast: more)')
+        : null;
+
+    function getTheme() {
+        let id = state.theme;
+        if (id === 'auto') {
+            if (contrastQuery && contrastQuery.matches) {
+                id = 'high-contrast';
+            } else {
+                id = colorSchemeQuery && colorSchemeQuery.matches ? 'light' : 'dark';
+            }
+        }
+        return themes.find(theme => theme.id === id) || themes[0];
+    }
 
-    if (motionQuery) {
-        state.prefersReducedMotion = motionQuery.matches;
-        if (typeof motionQuery.addEventListener === 'function') {
-            motionQuery.addEventListener('change', updateMotionPreference);
-        } else if (typeof motionQuery.addListener === 'function') {
-            motionQuery.addListener(updateMotionPreference);
+    function getPhaseColor(phase) {
+        return getTheme().phases[phase.tone];
+    }
+
+    const themeColorMeta = document.querySelector('meta[name="theme-color"]');
+
+    function applyTheme() {
+        const theme = getTheme();
+        document.documentElement.dataset.theme = theme.id;
+        breathing.palette = theme.phases;
+        if (themeColorMeta) {
+            themeColorMeta.setAttribute('content', theme.background);
         }
     }
 
+    function handleSystemThemeChange() {
+        if (state.theme !== 'auto') return;
+        applyTheme();
+        render();
+    }
+
+    [colorSchemeQuery, contrastQuery].forEach(query => {
+        if (!query) return;
+        if (typeof query.addEventListener === 'function') {
+            query.addEventListener('change', handleSystemThemeChange);
+        } else if (typeof query.addListener === 'function') {
+            query.addListener(handleSystemThemeChange);
+        }
+    });
+
+    // mm:ss in the locale's digits.
     function formatTime(seconds) {
         const mins = Math.floor(seconds / 60);
         const secs = seconds % 60;
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        const twoDigits = { minimumIntegerDigits: 2, useGrouping: false };
+        return `${formatNumber(mins, twoDigits)}:${formatNumber(secs, twoDigits)}`;
     }
 
-    function playTone() {
-        if (state.soundEnabled && audioContext) {
-            try {
-                const now = audioContext.currentTime;
-                
-                // Create Oscillator (Fundamental)
-                const oscillator = audioContext.createOscillator();
-                oscillator.type = 'sine';
-                // Use a soft pentatonic note or just a pleasant sine (440Hz A4 or 523Hz C5)
-                // Let's use different pitches for phases for better feedback? 
-                // Or stick to a consistent calm chime. Let's do consistent calm chime (C5).
-                oscillator.frequency.setValueAtTime(523.25, now);
+    // Audio cues. Everything goes through a master gain node so the volume
+    // slider applies to every style.
+    const cueStyles = [
+        { id: 'chime' },
+        { id: 'phase-pitch' },
+        { id: 'sweep' },
+        { id: 'silent' }
+    ];
 
-                // Create Gain (Volume Envelope)
-                const gainNode = audioContext.createGain();
-                
-                // Connect
-                oscillator.connect(gainNode);
-                gainNode.connect(audioContext.destination);
+    // C major pentatonic, one note per phase.
+    const phasePitches = [523.25, 659.25, 783.99, 880.0, 1046.5];
+    const SWEEP_LOW = 196.0;
+    const SWEEP_HIGH = 392.0;
 
-                // Envelope logic for a "bell" sound
-                gainNode.gain.setValueAtTime(0, now);
-                // Attack (quick fade in)
-                gainNode.gain.linearRampToValueAtTime(0.3, now + 0.05); 
-                // Decay/Release (long tail)
-                gainNode.gain.exponentialRampToValueAtTime(0.001, now + 1.5);
+    let masterGain = null;
+    let sweepVoice = null;
 
-                oscillator.start(now);
-                oscillator.stop(now + 1.5);
-            } catch (e) {
-                console.error('Error playing tone:', e);
-            }
+    function getMasterGain() {
+        if (!audioContext) return null;
+        if (!masterGain) {
+            masterGain = audioContext.createGain();
+            masterGain.connect(audioContext.destination);
         }
+        masterGain.gain.setValueAtTime(state.volume, audioContext.currentTime);
+        return masterGain;
     }
 
-    let interval;
-    let animationFrameId;
-    let lastStateUpdate;
+    function canPlayCues() {
+        return state.soundEnabled && state.cueStyle !== 'silent' && audioContext;
+    }
 
-    async function requestWakeLock() {
-        if ('wakeLock' in navigator) {
-            try {
-                wakeLock = await navigator.wakeLock.request('screen');
-                console.log('Wake lock is active');
-            } catch (err) {
-                console.error('Failed to acquire wake lock:', err);
-            }
-        } else {
-            console.log('Wake Lock API not supported');
+    // A single bell-like note: quick attack, long exponential tail.
+    function playNote(frequency, { peak = 0.3, length = 1.5, when = 0 } = {}) {
+        try {
+            const output = getMasterGain();
+            const now = audioContext.currentTime + when;
+
+            const oscillator = audioContext.createOscillator();
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(frequency, now);
+
+            const gainNode = audioContext.createGain();
+            oscillator.connect(gainNode);
+            gainNode.connect(output);
+
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(peak, now + 0.05);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, now + length);
+
+            oscillator.start(now);
+            oscillator.stop(now + length);
+        } catch (e) {
+            console.error('Error playing tone:', e);
         }
     }
 
-    function releaseWakeLock() {
-        if (wakeLock !== null) {
-            wakeLock.release()
-                .then(() => {
-                    wakeLock = null;
-                    console.log('Wake lock released');
-                })
-                .catch(err => {
-                    console.error('Failed to release wake lock:', err);
-                });
+    function stopSweep() {
+        if (!sweepVoice) return;
+        const { oscillator, gainNode } = sweepVoice;
+        sweepVoice = null;
+        try {
+            const now = audioContext.currentTime;
+            gainNode.gain.cancelScheduledValues(now);
+            gainNode.gain.setTargetAtTime(0, now, 0.1);
+            oscillator.stop(now + 0.5);
+        } catch (e) {
+            console.error('Error stopping tone:', e);
         }
     }
 
-    function togglePlay() {
-        state.isPlaying = !state.isPlaying;
-        if (state.isPlaying) {
-            if (audioContext && audioContext.state === 'suspended') {
-                audioContext.resume().then(() => {
-                    console.log('AudioContext resumed');
-                });
+    // Continuous tone that rises while inhaling, falls while exhaling, holds
+    // its pitch during holds and fades out while resting.
+    function playSweep(phase, remainingSeconds, progress) {
+        try {
+            const now = audioContext.currentTime;
+            if (!sweepVoice) {
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(SWEEP_LOW, now);
+                gainNode.gain.setValueAtTime(0, now);
+                oscillator.connect(gainNode);
+                gainNode.connect(getMasterGain());
+                oscillator.start(now);
+                sweepVoice = { oscillator, gainNode };
             }
-            state.hasStarted = true;
-            state.totalTime = 0;
-            state.countdown = state.phaseTime;
-            state.count = 0;
-            state.sessionComplete = false;
-            state.timeLimitReached = false;
-            state.pulseStartTime = performance.now();
-            playTone();
-            startInterval();
-            animate();
-            requestWakeLock();
+            const { oscillator, gainNode } = sweepVoice;
+            const span = SWEEP_HIGH - SWEEP_LOW;
+            const end = now + Math.max(0.05, remainingSeconds);
+            oscillator.frequency.cancelScheduledValues(now);
+            gainNode.gain.cancelScheduledValues(now);
+
+            if (phase.animation === 'grow') {
+                oscillator.frequency.setValueAtTime(SWEEP_LOW + span * progress, now);
+                oscillator.frequency.linearRampToValueAtTime(SWEEP_HIGH, end);
+                gainNode.gain.setTargetAtTime(0.15, now, 0.1);
+            } else if (phase.animation === 'shrink') {
+                oscillator.frequency.setValueAtTime(SWEEP_HIGH - span * progress, now);
+                oscillator.frequency.linearRampToValueAtTime(SWEEP_LOW, end);
+                gainNode.gain.setTargetAtTime(0.15, now, 0.1);
+            } else if (phase.animation === 'hold') {
+                oscillator.frequency.setValueAtTime(SWEEP_HIGH, now);
+                gainNode.gain.setTargetAtTime(0.08, now, 0.2);
+            } else {
+                oscillator.frequency.setValueAtTime(SWEEP_LOW, now);
+                gainNode.gain.setTargetAtTime(0, now, 0.2);
+            }
+        } catch (e) {
+            console.error('Error playing sweep:', e);
+        }
+    }
+
+    // Cue for the start of the current phase. `progress` is only used by the
+    // sweep, which may pick up partway through a phase.
+    function playPhaseCue(progress = 0) {
+        if (!canPlayCues()) {
+            stopSweep();
+            return;
+        }
+        if (state.cueStyle === 'sweep') {
+            playSweep(engine.phase, engine.getPhaseDuration() * (1 - progress), progress);
+            return;
+        }
+        stopSweep();
+        if (isVoiceActive()) return;
+        if (state.cueStyle === 'phase-pitch') {
+            playNote(phasePitches[engine.phaseIndex % phasePitches.length]);
         } else {
-            clearInterval(interval);
-            cancelAnimationFrame(animationFrameId);
-            state.totalTime = 0;
-            state.countdown = state.phaseTime;
-            state.count = 0;
-            state.sessionComplete = false;
-            state.timeLimitReached = false;
-            state.hasStarted = false;
-            drawScene({ progress: 0, phase: state.count });
-            state.pulseStartTime = null;
-            releaseWakeLock();
+            playNote(523.25);
         }
-        render();
     }
 
-    function resetToStart() {
-        state.isPlaying = false;
-        state.totalTime = 0;
-        state.countdown = state.phaseTime;
-        state.count = 0;
-        state.sessionComplete = false;
-        state.timeLimit = '';
-        state.timeLimitReached = false;
-        state.pulseStartTime = null;
-        state.hasStarted = false;
-        clearInterval(interval);
-        cancelAnimationFrame(animationFrameId);
-        drawScene({ progress: 0, phase: state.count });
-        releaseWakeLock();
-        render();
+    // After a pause only the continuous sweep needs restarting.
+    function resumePhaseCue(progress) {
+        if (canPlayCues() && state.cueStyle === 'sweep') {
+            playPhaseCue(progress);
+        }
     }
 
-    function toggleSound() {
-        state.soundEnabled = !state.soundEnabled;
-        render();
+    function playCompletionCue() {
+        if (canPlayCues() && !isVoiceActive()) {
+            stopSweep();
+            playNote(state.cueStyle === 'phase-pitch' ? phasePitches[0] : 523.25);
+        }
     }
 
-    function handleTimeLimitChange(e) {
-        state.timeLimit = e.target.value.replace(/[^0-9]/g, '');
-    }
-
-    function startWithPreset(minutes) {
-        state.timeLimit = minutes.toString();
-        state.isPlaying = true;
-        state.totalTime = 0;
-        state.countdown = state.phaseTime;
-        state.count = 0;
-        state.sessionComplete = false;
-        state.timeLimitReached = false;
-        state.pulseStartTime = performance.now();
-        state.hasStarted = true;
-        if (audioContext && audioContext.state === 'suspended') {
-            audioContext.resume().then(() => {
-                console.log('AudioContext resumed');
-            });
+    function playHoldTick() {
+        if (!canPlayCues() || !state.holdTicks) return;
+        if (isVoiceActive() && state.voiceVerbosity === 'detailed') return;
+        const { animation } = engine.phase;
+        if (animation === 'hold' || animation === 'rest') {
+            playNote(1318.5, { peak: 0.06, length: 0.12 });
         }
-        playTone();
-        startInterval();
-        animate();
-        requestWakeLock();
-        render();
     }
 
-    function startInterval() {
-        clearInterval(interval);
-        lastStateUpdate = performance.now();
-        interval = setInterval(() => {
-            state.totalTime += 1;
-            if (state.timeLimit && !state.timeLimitReached) {
-                const timeLimitSeconds = parseInt(state.timeLimit) * 60;
-                if (state.totalTime >= timeLimitSeconds) {
-                    state.timeLimitReached = true;
-                }
-            }
-            if (state.countdown === 1) {
-                state.count = (state.count + 1) % 4;
-                state.pulseStartTime = performance.now();
-                state.countdown = state.phaseTime;
-                playTone();
-                if (state.count === 3 && state.timeLimitReached) {
-                    state.sessionComplete = true;
-                    state.isPlaying = false;
-                    state.hasStarted = false;
-                    clearInterval(interval);
-                    cancelAnimationFrame(animationFrameId);
-                    releaseWakeLock();
+    function previewCues() {
+        resumeAudio();
+        speak(getInstruction(getPattern().phases[0]));
+        if (!audioContext || state.cueStyle === 'silent') return;
+        const phases = getPattern().phases;
+        if (state.cueStyle === 'sweep') {
+            const output = getMasterGain();
+            const now = audioContext.currentTime;
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            oscillator.frequency.setValueAtTime(SWEEP_LOW, now);
+            oscillator.frequency.linearRampToValueAtTime(SWEEP_HIGH, now + 1);
+            oscillator.frequency.linearRampToValueAtTime(SWEEP_LOW, now + 2);
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(0.15, now + 0.1);
+            gainNode.gain.setValueAtTime(0.15, now + 1.8);
+            gainNode.gain.linearRampToValueAtTime(0, now + 2.1);
+            oscillator.connect(gainNode);
+            gainNode.connect(output);
+            oscillator.start(now);
+            oscillator.stop(now + 2.2);
+            return;
+        }
+        phases.forEach((_, index) => {
+            const frequency = state.cueStyle === 'phase-pitch'
+                ? phasePitches[index % phasePitches.length]
+                : 523.25;
+            playNote(frequency, { when: index * 0.6, length: 1 });
+        });
+    }
+
+    // Ambient soundscape: continuous layers synthesized on the shared audio
+    // context, so no audio files are needed. Each layer has its own level and
+    // goes through the master gain, so the volume slider and speech ducking
+    // apply. The bed fades in when a session starts and out when it stops.
+    const ambientLayers = [
+        { id: 'white' },
+        { id: 'pink' },
+        { id: 'brown' },
+        { id: 'ocean' },
+        { id: 'drone' }
+    ];
+
+    const defaultAmbientLevels = { white: 0, pink: 0, brown: 0, ocean: 0.6, drone: 0.3 };
+    // Gain at full level, so equal levels sound roughly equally loud.
+    const ambientGains = { white: 0.04, pink: 0.1, brown: 0.25, ocean: 0.35, drone: 0.05 };
+    const AMBIENT_FADE_IN = 3;
+    const AMBIENT_FADE_OUT = 4;
+
+    let ambientBed = null;
+    const noiseBuffers = new Map();
+
+    function normalizeAmbientLevels(levels) {
+        const stored = levels && typeof levels === 'object' ? levels : {};
+        return Object.fromEntries(ambientLayers.map(({ id }) => {
+            const level = parseFloat(stored[id]);
+            return [id, Number.isFinite(level) ? Math.min(1, Math.max(0, level)) : defaultAmbientLevels[id]];
+        }));
+    }
+
+    state.ambientLevels = normalizeAmbientLevels(null);
+
+    function canPlayAmbience() {
+        return state.soundEnabled && state.ambientEnabled && audioContext
+            && ambientLayers.some(({ id }) => state.ambientLevels[id] > 0);
+    }
+
+    // Two seconds of looping noise. Pink uses Paul Kellet's economy filter;
+    // brown is leaky-integrated white noise.
+    function getNoiseBuffer(type) {
+        let buffer = noiseBuffers.get(type);
+        if (!buffer) {
+            const length = audioContext.sampleRate * 2;
+            buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+            let b0 = 0;
+            let b1 = 0;
+            let b2 = 0;
+            let last = 0;
+            for (let i = 0; i < length; i++) {
+                const white = Math.random() * 2 - 1;
+                if (type === 'pink') {
+                    b0 = 0.99765 * b0 + white * 0.0990460;
+                    b1 = 0.96300 * b1 + white * 0.2965164;
+                    b2 = 0.57000 * b2 + white * 1.0526913;
+                    data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.25;
+                } else if (type === 'brown') {
+                    last = (last + 0.02 * white) / 1.02;
+                    data[i] = last * 3.5;
+                } else {
+                    data[i] = white;
                 }
-            } else {
-                state.countdown -= 1;
             }
-            lastStateUpdate = performance.now();
-            render();
-        }, 1000);
-    }
-
-    function drawScene({ progress = 0, phase = state.count, timestamp = performance.now() } = {}) {
-        if (!ctx) return;
-
-        const width = state.viewportWidth || canvas.clientWidth || canvas.width;
-        const height = state.viewportHeight || canvas.clientHeight || canvas.height;
-        if (!width || !height) return;
-
-        const scale = state.devicePixelRatio || 1;
-        ctx.save();
-        ctx.setTransform(scale, 0, 0, scale, 0, 0);
-
-        ctx.clearRect(0, 0, width, height);
-
-        if (!state.hasStarted && !state.sessionComplete) {
-            ctx.restore();
-            return;
-        }
-
-        const easedProgress = 0.5 - (Math.cos(Math.PI * Math.max(0, Math.min(1, progress))) / 2);
-        
-        // Define Grid
-        const centerX = width / 2;
-        // Shift vertical center up slightly to account for the "Instruction" text at the bottom
-        const centerY = height / 2 - 20; 
-        
-        // Size of the square grid
-        const boxSize = Math.min(width, height) * 0.55; 
-        const halfBox = boxSize / 2;
-        
-        // Max radius for a dot
-        const baseRadius = boxSize * 0.18; 
-        
-        // Positions: TopLeft(0), TopRight(1), BottomRight(2), BottomLeft(3)
-        // Matches phases: Inhale(0), Hold(1), Exhale(2), Wait(3)
-        const positions = [
-            { x: centerX - halfBox, y: centerY - halfBox }, // Top Left
-            { x: centerX + halfBox, y: centerY - halfBox }, // Top Right
-            { x: centerX + halfBox, y: centerY + halfBox }, // Bottom Right
-            { x: centerX - halfBox, y: centerY + halfBox }  // Bottom Left
-        ];
+            noiseBuffers.set(type, buffer);
+        }
+        return buffer;
+    }
 
-        positions.forEach((pos, index) => {
-            let radius = baseRadius;
-            let opacity = 0.15; // Dim inactive dots
-            
-            const isCurrentPhase = index === phase;
-            const color = phaseColors[index];
-
-            if (isCurrentPhase) {
-                opacity = 1;
-                
-                // Animation Logic based on Phase
-                if (phase === 0) {
-                    // Inhale: Grow
-                    radius = baseRadius * 0.5 + (baseRadius * 0.8 * easedProgress);
-                } else if (phase === 1) {
-                    // Hold: Pulse slightly (Full size)
-                    const pulse = Math.sin(timestamp / 200) * 0.05;
-                    radius = baseRadius * 1.3 + (baseRadius * pulse);
-                } else if (phase === 2) {
-                    // Exhale: Shrink
-                    radius = baseRadius * 1.3 - (baseRadius * 0.8 * easedProgress);
-                } else if (phase === 3) {
-                    // Wait: Pulse slightly (Small size)
-                    const pulse = Math.sin(timestamp / 300) * 0.05;
-                    radius = baseRadius * 0.5 + (baseRadius * pulse);
+    function createNoiseSource(type) {
+        const source = audioContext.createBufferSource();
+        source.buffer = getNoiseBuffer(type);
+        source.loop = true;
+        return source;
+    }
+
+    // One layer: its sources feed `gain`, which holds the layer's level.
+    function createAmbientLayer(id, output) {
+        const now = audioContext.currentTime;
+        const gain = audioContext.createGain();
+        gain.gain.setValueAtTime(state.ambientLevels[id] * ambientGains[id], now);
+        gain.connect(output);
+        const layer = { gain, sources: [], swell: null, filter: null };
+
+        if (id === 'ocean') {
+            // Low-passed pink noise whose volume and brightness follow the breath.
+            const source = createNoiseSource('pink');
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(500, now);
+            const swell = audioContext.createGain();
+            swell.gain.setValueAtTime(0.3, now);
+            source.connect(filter);
+            filter.connect(swell);
+            swell.connect(gain);
+            layer.sources.push(source);
+            layer.swell = swell;
+            layer.filter = filter;
+        } else if (id === 'drone') {
+            // A low fifth, slightly detuned so it beats slowly, softened by a
+            // low-pass filter and a gentle tremolo.
+            const filter = audioContext.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.setValueAtTime(600, now);
+            const tremolo = audioContext.createGain();
+            tremolo.gain.setValueAtTime(0.85, now);
+            filter.connect(tremolo);
+            tremolo.connect(gain);
+            [110, 110.4, 164.8].forEach(frequency => {
+                const oscillator = audioContext.createOscillator();
+                oscillator.type = 'triangle';
+                oscillator.frequency.setValueAtTime(frequency, now);
+                oscillator.connect(filter);
+                layer.sources.push(oscillator);
+            });
+            const lfo = audioContext.createOscillator();
+            const lfoDepth = audioContext.createGain();
+            lfo.frequency.setValueAtTime(0.08, now);
+            lfoDepth.gain.setValueAtTime(0.15, now);
+            lfo.connect(lfoDepth);
+            lfoDepth.connect(tremolo.gain);
+            layer.sources.push(lfo);
+        } else {
+            const source = createNoiseSource(id);
+            source.connect(gain);
+            layer.sources.push(source);
+        }
+
+        layer.sources.forEach(source => source.start(now));
+        return layer;
+    }
+
+    function startAmbience() {
+        if (ambientBed || !canPlayAmbience()) return;
+        try {
+            const now = audioContext.currentTime;
+            const output = audioContext.createGain();
+            output.gain.setValueAtTime(0, now);
+            output.gain.linearRampToValueAtTime(1, now + AMBIENT_FADE_IN);
+            output.connect(getMasterGain());
+            const layers = new Map();
+            ambientLayers.forEach(({ id }) => {
+                if (state.ambientLevels[id] > 0) {
+                    layers.set(id, createAmbientLayer(id, output));
                 }
+            });
+            ambientBed = { output, layers };
+            updateOceanSwell(engine.getPhaseProgress());
+        } catch (e) {
+            console.error('Error starting soundscape:', e);
+        }
+    }
+
+    function stopAmbience(fadeSeconds = AMBIENT_FADE_OUT) {
+        if (!ambientBed) return;
+        const { output, layers } = ambientBed;
+        ambientBed = null;
+        try {
+            const now = audioContext.currentTime;
+            output.gain.cancelScheduledValues(now);
+            output.gain.setValueAtTime(output.gain.value, now);
+            output.gain.linearRampToValueAtTime(0, now + fadeSeconds);
+            layers.forEach(layer => layer.sources.forEach(source => source.stop(now + fadeSeconds + 0.1)));
+        } catch (e) {
+            console.error('Error stopping soundscape:', e);
+        }
+    }
+
+    // The ocean swells in with the inhale and ebbs with the exhale. `progress`
+    // is how far into the current phase we are.
+    function updateOceanSwell(progress = 0) {
+        const layer = ambientBed && ambientBed.layers.get('ocean');
+        if (!layer) return;
+        try {
+            const { animation } = engine.phase;
+            const now = audioContext.currentTime;
+            const end = now + Math.max(0.05, engine.getPhaseDuration() * (1 - progress));
+            const swell = layer.swell.gain;
+            const brightness = layer.filter.frequency;
+            swell.cancelScheduledValues(now);
+            brightness.cancelScheduledValues(now);
+
+            if (animation === 'grow') {
+                swell.setValueAtTime(0.3 + 0.7 * progress, now);
+                swell.linearRampToValueAtTime(1, end);
+                brightness.setValueAtTime(500 + 700 * progress, now);
+                brightness.linearRampToValueAtTime(1200, end);
+            } else if (animation === 'shrink') {
+                swell.setValueAtTime(1 - 0.7 * progress, now);
+                swell.linearRampToValueAtTime(0.3, end);
+                brightness.setValueAtTime(1200 - 700 * progress, now);
+                brightness.linearRampToValueAtTime(500, end);
             } else {
-                // Non-active dots stay small
-                radius = baseRadius * 0.4;
+                const target = animation === 'hold' ? 1 : 0.3;
+                swell.setTargetAtTime(target, now, 0.3);
+                brightness.setTargetAtTime(animation === 'hold' ? 1200 : 500, now, 0.3);
             }
+        } catch (e) {
+            console.error('Error shaping ocean swell:', e);
+        }
+    }
+
+    // Spoken guidance. Shares the sound toggle with the audio cues: when the
+    // voice is on it replaces the discrete chimes, and any continuous tone is
+    // ducked while speaking, so the two never talk over each other.
+    const speech = 'speechSynthesis' in window ? window.speechSynthesis : null;
+
+    const voiceVerbosityLevels = [
+        { id: 'minimal' },
+        { id: 'standard' },
+        { id: 'detailed' }
+    ];
+
+    function isVoiceActive() {
+        return Boolean(speech) && state.soundEnabled && state.voiceEnabled;
+    }
+
+    function getVoices() {
+        return speech ? speech.getVoices() : [];
+    }
+
+    function duckCues(ducked) {
+        if (!masterGain || !audioContext) return;
+        const target = ducked ? state.volume * 0.3 : state.volume;
+        masterGain.gain.setTargetAtTime(target, audioContext.currentTime, 0.1);
+    }
 
-            // Draw Glow
-            if (isCurrentPhase) {
-                const glow = ctx.createRadialGradient(pos.x, pos.y, radius * 0.5, pos.x, pos.y, radius * 2);
-                glow.addColorStop(0, hexToRgba(color, 0.4));
-                glow.addColorStop(1, 'rgba(0,0,0,0)');
-                ctx.fillStyle = glow;
-                ctx.beginPath();
-                ctx.arc(pos.x, pos.y, radius * 2, 0, Math.PI * 2);
-                ctx.fill();
+    function speak(text, { interrupt = true } = {}) {
+        if (!isVoiceActive() || !text) return;
+        try {
+            if (interrupt) {
+                speech.cancel();
+            }
+            const utterance = new SpeechSynthesisUtterance(text);
+            const voice = getVoices().find(candidate => candidate.voiceURI === state.voiceURI);
+            if (voice) {
+                utterance.voice = voice;
             }
+            utterance.lang = voice ? voice.lang : getLocale();
+            utterance.rate = state.voiceRate;
+            utterance.volume = state.volume;
+            utterance.onstart = () => duckCues(true);
+            utterance.onend = () => duckCues(false);
+            utterance.onerror = () => duckCues(false);
+            speech.speak(utterance);
+        } catch (e) {
+            console.error('Error speaking:', e);
+        }
+    }
+
+    function stopSpeaking() {
+        if (speech) {
+            speech.cancel();
+        }
+        duckCues(false);
+    }
+
+    function speakPhase() {
+        speak(getInstruction(engine.phase));
+    }
+
+    function speakCountdown() {
+        if (state.voiceVerbosity === 'detailed' && engine.countdown > 0) {
+            speak(String(engine.countdown));
+        }
+    }
 
-            // Draw Dot
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
-            ctx.fillStyle = hexToRgba(color, opacity);
-            ctx.fill();
+    function speakReminder(text) {
+        if (state.voiceVerbosity !== 'minimal') {
+            speak(text, { interrupt: false });
+        }
+    }
 
-            // Optional: Draw stroke for inactive dots to keep structure visible
-            if (!isCurrentPhase) {
-                ctx.strokeStyle = hexToRgba(color, 0.3);
-                ctx.lineWidth = 2;
-                ctx.stroke();
+    if (speech && typeof speech.addEventListener === 'function') {
+        // Voices load asynchronously in most browsers.
+        speech.addEventListener('voiceschanged', () => {
+            if (engine.status === 'idle' && state.view === 'main' && state.voiceEnabled) {
+                render();
             }
         });
+    }
+
+    // Haptic cues, independent of the sound toggle. Each animation type gets a
+    // recognisable vibration pattern (durations in ms, alternating on/off).
+    const hapticsSupported = typeof navigator.vibrate === 'function';
+
+    const hapticPatterns = {
+        grow: [400],                       // long pulse
+        hold: [60, 80, 60],                // double tap
+        shrink: [200, 60, 120, 60, 60],    // fading pulse
+        rest: [40]                         // single short tap
+    };
+
+    function vibrate(pattern) {
+        if (!hapticsSupported) return;
+        try {
+            navigator.vibrate(pattern);
+        } catch (e) {
+            console.error('Error vibrating:', e);
+        }
+    }
+
+    function playPhaseHaptic() {
+        if (state.hapticsEnabled) {
+            vibrate(hapticPatterns[engine.phase.animation] || hapticPatterns.rest);
+        }
+    }
 
-        ctx.restore();
+    function playHoldHaptic() {
+        if (!state.hapticsEnabled || !state.hapticHoldTicks) return;
+        const { animation } = engine.phase;
+        if (animation === 'hold' || animation === 'rest') {
+            vibrate(15);
+        }
     }
 
-    function updateCanvasVisibility() {
-        const shouldShow = state.isPlaying || state.sessionComplete;
-        canvas.classList.toggle('is-visible', shouldShow);
+    function playCompletionHaptic() {
+        if (state.hapticsEnabled) {
+            vibrate([300, 120, 300]);
+        }
     }
 
-    function animate() {
-        if (!state.isPlaying) return;
-        const now = performance.now();
-        const elapsed = (now - lastStateUpdate) / 1000;
-        const effectiveCountdown = state.countdown - elapsed;
-        let progress = (state.phaseTime - effectiveCountdown) / state.phaseTime;
-        progress = Math.max(0, Math.min(1, progress));
+    function stopHaptics() {
+        vibrate(0);
+    }
 
-        drawScene({ progress, timestamp: now });
+    function getTimeLimitMs() {
+        const minutes = parseInt(state.timeLimit);
+        return state.limitUnit === 'minutes' && minutes > 0 ? minutes * 60 * 1000 : null;
+    }
 
-        animationFrameId = requestAnimationFrame(animate);
+    function getCycleLimit() {
+        const cycles = parseInt(state.cycleLimit);
+        return state.limitUnit === 'cycles' && cycles > 0 ? cycles : null;
     }
 
-    function render() {
-        let html = `<h1>Box Breathing</h1>`;
-        
-        if (state.isPlaying) {
-            html += `
-                <div class="timer">Total Time: ${formatTime(state.totalTime)}</div>
-                
-                <div style="flex-grow: 1;"></div> 
-
-                <div class="instruction active-phase-text" style="color: ${phaseColors[state.count]}">
-                    ${getInstruction(state.count)}
-                </div>
-                
-                <div style="height: 10vh;"></div>
-            `;
-            // NOTE: Removed Countdown number and small Phase Tracker dots
-        }
-        
-        if (state.timeLimitReached && !state.sessionComplete) {
-            const limitMessage = state.isPlaying ? 'Finishing current cycle…' : 'Time limit reached';
-            html += `<div class="limit-warning">${limitMessage}</div>`;
-        }
-        
-        if (!state.isPlaying && !state.sessionComplete) {
-            html += `
-                <div class="settings">
-                    <div class="form-group">
-                        <label class="switch">
-                            <input type="checkbox" id="sound-toggle" ${state.soundEnabled ? 'checked' : ''}>
-                            <span class="slider"></span>
-                        </label>
-                        <label for="sound-toggle">
-                            ${state.soundEnabled ? icons.volume2 : icons.volumeX}
-                            Sound ${state.soundEnabled ? 'On' : 'Off'}
-                        </label>
-                    </div>
-                    <div class="form-group">
-                        <input
-                            type="number"
-                            inputmode="numeric"
-                            placeholder="Time limit (minutes)"
-                            value="${state.timeLimit}"
-                            id="time-limit"
-                            step="1"
-                            min="0"
-                        >
-                        <label for="time-limit">Minutes (optional)</label>
-                    </div>
-                </div>
-                <div class="prompt">Press start to begin</div>
-            `;
-        }
-        
-        if (state.sessionComplete) {
-            html += `<div class="complete">Complete!</div>`;
-        }
-        
-        if (!state.sessionComplete) {
-            html += `
-                <button id="toggle-play" class="modern-btn main-btn">
-                    ${state.isPlaying ? icons.pause : icons.play}
-                    ${state.isPlaying ? 'Pause' : 'Start'}
-                </button>
-            `;
-        }
-        
-        if (!state.isPlaying && !state.sessionComplete) {
-            html += `
-                <div class="slider-container">
-                    <label for="phase-time-slider">Phase Time (seconds): <span id="phase-time-value">${state.phaseTime}</span></label>
-                    <input type="range" min="3" max="6" step="1" value="${state.phaseTime}" id="phase-time-slider">
-                </div>
-            `;
-        }
-        
-        if (state.sessionComplete) {
-            html += `
-                <button id="reset" class="modern-btn sub-btn">
-                    ${icons.rotateCcw}
-                    Back to Start
-                </button>
-            `;
-        }
-        
-        if (!state.isPlaying && !state.sessionComplete) {
-            html += `
-                <div class="shortcut-buttons">
-                    <button id="preset-2min" class="preset-button modern-btn">
-                        ${icons.clock} 2 min
-                    </button>
-                    <button id="preset-5min" class="preset-button modern-btn">
-                        ${icons.clock} 5 min
-                    </button>
-                    <button id="preset-10min" class="preset-button modern-btn">
-                        ${icons.clock} 10 min
-                    </button>
-                </div>
-            `;
-        }
-        
-        app.innerHTML = html;
+    const timerDisplays = ['elapsed', 'remaining-time', 'remaining-cycles'];
 
-        updateCanvasVisibility();
+    function getTimerDisplays() {
+        const target = engine.getSessionTarget();
+        return timerDisplays.filter(display => display === 'elapsed'
+            || (display === 'remaining-time' && target && target.ms !== null)
+            || (display === 'remaining-cycles' && target && target.cycles !== null));
+    }
 
-        if (!state.sessionComplete) {
-            const btn = document.getElementById('toggle-play');
-            if(btn) btn.addEventListener('click', togglePlay);
+    function getTimerText(elapsed) {
+        const display = getTimerDisplays().includes(state.timerDisplay) ? state.timerDisplay : 'elapsed';
+        const target = engine.getSessionTarget();
+        if (display === 'remaining-time') {
+            return t('timer.remainingTime', { time: formatTime(Math.max(0, Math.ceil((target.ms - elapsed) / 1000))) });
         }
-        if (state.sessionComplete) {
-            document.getElementById('reset').addEventListener('click', resetToStart);
+        if (display === 'remaining-cycles') {
+            return tn('timer.remainingCycles', Math.max(0, target.cycles - engine.cycles));
         }
-        if (!state.isPlaying && !state.sessionComplete) {
-            document.getElementById('sound-toggle').addEventListener('change', toggleSound);
-            const timeLimitInput = document.getElementById('time-limit');
-            timeLimitInput.addEventListener('input', handleTimeLimitChange);
-            const phaseTimeSlider = document.getElementById('phase-time-slider');
-            phaseTimeSlider.addEventListener('input', function() {
-                state.phaseTime = parseInt(this.value);
-                document.getElementById('phase-time-value').textContent = state.phaseTime;
-            });
-            document.getElementById('preset-2min').addEventListener('click', () => startWithPreset(2));
-            document.getElementById('preset-5min').addEventListener('click', () => startWithPreset(5));
-            document.getElementById('preset-10min').addEventListener('click', () => startWithPreset(10));
+        return t('timer.elapsed', { time: formatTime(engine.totalTime) });
+    }
+
+    // Session plans: ordered segments, each lasting a number of minutes or
+    // cycles, with a phase time that can ramp linearly from `phaseTime` to
+    // `endPhaseTime`. Segments only change at cycle boundaries, and the phase
+    // time is only recalculated when a new cycle begins; the engine runs them.
+    // Plans apply to patterns whose phases are timed by the phase time
+    // slider. Built-in plans and their segments are named from the catalog
+    // (`plan.<id>`, `segment.<nameKey>`); custom segments carry the user's
+    // own names.
+    const builtInPlans = [
+        {
+            id: 'warmup-ramp',
+            segments: [
+                { nameKey: 'warmUp', minutes: 2, cycles: null, phaseTime: 4, endPhaseTime: null },
+                { nameKey: 'mainSet', minutes: 5, cycles: null, phaseTime: 4, endPhaseTime: 6 },
+                { nameKey: 'coolDown', minutes: 2, cycles: null, phaseTime: 4, endPhaseTime: null }
+            ]
+        },
+        {
+            id: 'deepening',
+            segments: [
+                { nameKey: 'settle', minutes: null, cycles: 5, phaseTime: 4, endPhaseTime: null },
+                { nameKey: 'deepen', minutes: null, cycles: 10, phaseTime: 4, endPhaseTime: 6 },
+                { nameKey: 'steady', minutes: null, cycles: 5, phaseTime: 6, endPhaseTime: null }
+            ]
         }
-        if (!state.isPlaying) {
-            drawScene({ progress: state.sessionComplete ? 1 : 0, phase: state.count });
+    ];
+
+    let localizedPlans = null;
+
+    function getBuiltInPlans() {
+        const locale = getLocale();
+        if (!localizedPlans || localizedPlans.locale !== locale) {
+            localizedPlans = {
+                locale,
+                plans: builtInPlans.map(plan => ({
+                    id: plan.id,
+                    name: t(`plan.${plan.id}`),
+                    segments: plan.segments.map(({ nameKey, ...segment }) => ({ name: t(`segment.${nameKey}`), ...segment }))
+                }))
+            };
         }
+        return localizedPlans.plans;
+    }
+
+    function getAvailablePlans() {
+        const plans = getBuiltInPlans();
+        return state.customPlan ? plans.concat({ ...state.customPlan, name: t('plan.custom') }) : plans;
     }
 
-    render();
-    resizeCanvas();
+    function getPlan(id = state.planId) {
+        if (!id || !patternUsesPhaseTime(getPattern())) return null;
+        return getAvailablePlans().find(plan => plan.id === id) || null;
+    }
+
+    // Coerces a stored or edited segment into a well-formed one.
+    function normalizeSegment(segment) {
+        const minutes = parseFloat(segment.minutes);
+        const cycles = parseInt(segment.cycles);
+        const hasEnd = segment.endPhaseTime !== null && segment.endPhaseTime !== undefined && segment.endPhaseTime !== '';
+        const normalized = {
+            name: typeof segment.name === 'string' && segment.name.trim() ? segment.name.trim().slice(0, 30) : t('segment.default'),
+            minutes: null,
+            cycles: null,
+            phaseTime: clampPhaseTime(segment.phaseTime),
+            endPhaseTime: hasEnd ? clampPhaseTime(segment.endPhaseTime) : null
+        };
+        if (cycles > 0 && !(minutes > 0)) {
+            normalized.cycles = Math.min(cycles, 999);
+        } else {
+            normalized.minutes = minutes > 0 ? Math.min(Math.round(minutes * 2) / 2, 120) : 1;
+        }
+        return normalized;
+    }
+
+    function normalizePlan(plan) {
+        const segments = Array.isArray(plan && plan.segments)
+            ? plan.segments.filter(segment => segment && typeof segment === 'object').map(normalizeSegment)
+            : [];
+        return segments.length ? { id: 'custom', segments } : null;
+    }
+
+    function describeSegmentRemaining(segment, elapsed) {
+        if (segment.minutes) {
+            const remainingMs = engine.segmentStartMs + segment.minutes * 60000 - elapsed;
+            return t('segment.timeLeft', { time: formatTime(Math.max(0, Math.ceil(remainingMs / 1000))) });
+        }
+        return tn('segment.cyclesLeft', Math.max(0, segment.cycles - (engine.cycles - engine.segmentStartCycle)));
+    }
+
+    async function requestWakeLock() {
+        if ('wakeLock' in navigator) {
+            try {
+                wakeLock = await navigator.wakeLock.request('screen');
+                console.log('Wake lock is active');
+            } catch (err) {
+                console.error('Failed to acquire wake lock:', err);
+            }
+        } else {
+            console.log('Wake Lock API not supported');
+        }
+    }
+
+    function releaseWakeLock() {
+        if (wakeLock !== null) {
+            wakeLock.release()
+                .then(() => {
+                    wakeLock = null;
+                    console.log('Wake lock released');
+                })
+                .catch(err => {
+                    console.error('Failed to release wake lock:', err);
+                });
+        }
+    }
+
+    // Lock-screen and headset controls through the Media Session API.
+    // Browsers only offer them while the page plays media, so a silent clip
+    // loops for as long as the session is running.
+    const mediaSession = 'mediaSession' in navigator && typeof window.MediaMetadata === 'function'
+        ? navigator.mediaSession
+        : null;
+    let silentAudio = null;
+    let mediaMetadataKey = '';
+
+    // Six seconds of 8-bit mono silence as a WAV file; some browsers ignore
+    // clips shorter than five seconds.
+    function createSilentClip() {
+        const sampleRate = 8000;
+        const samples = sampleRate * 6;
+        const view = new DataView(new ArrayBuffer(44 + samples));
+        const writeText = (offset, text) => {
+            Array.from(text).forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
+        };
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + samples, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);           // PCM
+        view.setUint16(22, 1, true);           // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate, true);  // bytes per second
+        view.setUint16(32, 1, true);           // bytes per sample
+        view.setUint16(34, 8, true);           // bits per sample
+        writeText(36, 'data');
+        view.setUint32(40, samples, true);
+        // Unsigned 8-bit samples are silent at 128.
+        new Uint8Array(view.buffer, 44).fill(128);
+        return URL.createObjectURL(new Blob([view.buffer], { type: 'audio/wav' }));
+    }
+
+    function playSilentAudio(playing) {
+        if (!playing) {
+            if (silentAudio) {
+                silentAudio.pause();
+            }
+            return;
+        }
+        if (!silentAudio) {
+            silentAudio = new Audio(createSilentClip());
+            silentAudio.loop = true;
+        }
+        silentAudio.play().catch(err => {
+            console.error('Failed to start media session audio:', err);
+        });
+    }
+
+    // Mirrors the current phase and elapsed time into the media metadata.
+    function updateMediaSession() {
+        if (!mediaSession) return;
+        if (!engine.isStarted) {
+            if (mediaSession.playbackState !== 'none') {
+                mediaMetadataKey = '';
+                mediaSession.metadata = null;
+                mediaSession.playbackState = 'none';
+                playSilentAudio(false);
+            }
+            return;
+        }
+
+        let title = getInstruction(engine.phase);
+        if (engine.status === 'complete') {
+            title = t('complete.title');
+        } else if (engine.status === 'paused') {
+            title = t('session.paused');
+        }
+        const artist = t('timer.elapsed', { time: formatTime(engine.totalTime) });
+        const album = `${t('app.title')} · ${t(`pattern.${engine.pattern.id}`)}`;
+        const key = [title, artist, album].join('|');
+        if (key !== mediaMetadataKey) {
+            mediaMetadataKey = key;
+            mediaSession.metadata = new MediaMetadata({
+                title,
+                artist,
+                album,
+                artwork: [
+                    { src: 'icons/icon-192x192.png', sizes: '192x192', type: 'image/png' },
+                    { src: 'icons/icon-512x512.png', sizes: '512x512', type: 'image/png' }
+                ]
+            });
+            updateMediaPosition();
+        }
+
+        const playbackState = engine.isActive ? 'playing' : 'paused';
+        if (mediaSession.playbackState !== playbackState) {
+            mediaSession.playbackState = playbackState;
+            playSilentAudio(engine.isActive);
+        }
+    }
+
+    // A progress bar on the lock screen when the session has a known length.
+    function updateMediaPosition() {
+        if (typeof mediaSession.setPositionState !== 'function') return;
+        const target = engine.getSessionTarget();
+        try {
+            if (target && target.ms !== null) {
+                const duration = target.ms / 1000;
+                mediaSession.setPositionState({
+                    duration,
+                    position: Math.min(duration, engine.getElapsedMs() / 1000),
+                    playbackRate: 1
+                });
+            } else {
+                mediaSession.setPositionState();
+            }
+        } catch (err) {
+            console.error('Failed to update media position:', err);
+        }
+    }
+
+    if (mediaSession) {
+        const mediaActions = {
+            play: () => !isFollowing() && resumeSession(),
+            pause: () => !isFollowing() && pauseSession(),
+            stop: () => endSessionOrLeave()
+        };
+        Object.keys(mediaActions).forEach(action => {
+            try {
+                mediaSession.setActionHandler(action, mediaActions[action]);
+            } catch (err) {
+                // Not every browser knows every action.
+            }
+        });
+    }
+
+    // Picture-in-Picture. With Document Picture-in-Picture the component
+    // itself moves into the floating window, instruction and timer included;
+    // otherwise its canvas is streamed into a video element.
+    const documentPip = 'documentPictureInPicture' in window ? window.documentPictureInPicture : null;
+    const videoPipSupported = Boolean(document.pictureInPictureEnabled)
+        && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    let pipWindow = null;
+    let pipVideo = null;
+
+    function isPipSupported() {
+        return Boolean(documentPip) || videoPipSupported;
+    }
+
+    function isPipOpen() {
+        return Boolean(pipWindow || pipVideo);
+    }
+
+    async function openDocumentPip() {
+        const pip = await documentPip.requestWindow({ width: 320, height: 360 });
+        const pageStyle = getComputedStyle(document.body);
+        const style = pip.document.createElement('style');
+        style.textContent = `
+            body {
+                margin: 0;
+                height: 100vh;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: ${getTheme().background};
+                color: ${pageStyle.color};
+                font-family: ${pageStyle.fontFamily};
+            }
+            box-breathing {
+                height: 100vh;
+                max-width: 100vw;
+            }
+        `;
+        pip.document.head.append(style);
+        pip.document.documentElement.lang = document.documentElement.lang;
+        pip.document.documentElement.dir = document.documentElement.dir;
+
+        const home = { parent: breathing.parentNode, next: breathing.nextSibling };
+        pip.document.body.append(breathing);
+        pipWindow = pip;
+        pip.addEventListener('pagehide', () => {
+            home.parent.insertBefore(breathing, home.next);
+            pipWindow = null;
+            render();
+        });
+    }
+
+    async function openVideoPip() {
+        const video = document.createElement('video');
+        video.className = 'visually-hidden';
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = breathing.captureStream();
+        document.body.append(video);
+        try {
+            await video.play();
+            await video.requestPictureInPicture();
+        } catch (err) {
+            video.srcObject.getTracks().forEach(track => track.stop());
+            video.remove();
+            throw err;
+        }
+        pipVideo = video;
+        video.addEventListener('leavepictureinpicture', () => {
+            video.srcObject.getTracks().forEach(track => track.stop());
+            video.remove();
+            pipVideo = null;
+            render();
+        }, { once: true });
+    }
+
+    async function openPictureInPicture() {
+        if (isPipOpen() || !engine.isStarted) return;
+        try {
+            if (documentPip) {
+                await openDocumentPip();
+            } else {
+                await openVideoPip();
+            }
+        } catch (err) {
+            console.error('Failed to open Picture-in-Picture:', err);
+            showNotice(t('pip.failed'));
+        }
+        render();
+    }
+
+    function closePictureInPicture() {
+        if (pipWindow) {
+            // The pagehide listener brings the component back.
+            pipWindow.close();
+        } else if (pipVideo && document.pictureInPictureElement) {
+            document.exitPictureInPicture().catch(err => {
+                console.error('Failed to close Picture-in-Picture:', err);
+            });
+        }
+    }
+
+    function togglePictureInPicture() {
+        if (isPipOpen()) {
+            closePictureInPicture();
+        } else {
+            openPictureInPicture();
+        }
+    }
+
+    // Session history, stored locally in IndexedDB so it works offline.
+    const HISTORY_DB_NAME = 'box-breathing';
+    // Keep the version and stores in step with openDb in service-worker.js.
+    const HISTORY_DB_VERSION = 3;
+    const SESSION_STORE = 'sessions';
+    const REMINDER_STORE = 'reminders';
+    const JOURNAL_STORE = 'journal';
+    let historyDbPromise = null;
+
+    function openHistoryDb() {
+        if (!('indexedDB' in window) || !window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+        if (!historyDbPromise) {
+            historyDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+                        store.createIndex('startedAt', 'startedAt');
+                    }
+                    if (!db.objectStoreNames.contains(REMINDER_STORE)) {
+                        db.createObjectStore(REMINDER_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(JOURNAL_STORE)) {
+                        db.createObjectStore(JOURNAL_STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(err => {
+                historyDbPromise = null;
+                throw err;
+            });
+        }
+        return historyDbPromise;
+    }
+
+    function createRecordId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    async function saveSessionRecord(record) {
+        try {
+            const db = await openHistoryDb();
+            await new Promise((resolve, reject) => {
+                const tx = db.transaction(SESSION_STORE, 'readwrite');
+                tx.objectStore(SESSION_STORE).put(record);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (err) {
+            console.error('Failed to save session:', err);
+        }
+    }
+
+    // Writes several records in one transaction; existing ids are replaced.
+    async function saveSessionRecords(records) {
+        const db = await openHistoryDb();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(SESSION_STORE, 'readwrite');
+            const store = tx.objectStore(SESSION_STORE);
+            records.forEach(record => store.put(record));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async function loadSessionRecords() {
+        const db = await openHistoryDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(SESSION_STORE, 'readonly');
+            const request = tx.objectStore(SESSION_STORE).index('startedAt').getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Journal entries: { id, sessionId, before, after }, one per session,
+    // holding the check-ins taken before and after it (either may be null).
+    async function saveJournalEntries(entries) {
+        const db = await openHistoryDb();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(JOURNAL_STORE, 'readwrite');
+            const store = tx.objectStore(JOURNAL_STORE);
+            entries.forEach(entry => store.put(entry));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async function deleteJournalEntry(id) {
+        const db = await openHistoryDb();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(JOURNAL_STORE, 'readwrite');
+            tx.objectStore(JOURNAL_STORE).delete(id);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async function loadJournalEntries() {
+        const db = await openHistoryDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(JOURNAL_STORE, 'readonly');
+            const request = tx.objectStore(JOURNAL_STORE).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // A session ended before a second had passed leaves no record, and
+    // its journal entry, saved when it started, is removed with it.
+    function recordSession(completed) {
+        const duration = completed ? engine.totalTime : Math.round(engine.getElapsedMs() / 1000);
+        if (!engine.startedAt || duration <= 0) {
+            if (state.checkIn && state.checkIn.before) {
+                return deleteJournalEntry(state.checkIn.id)
+                    .catch(err => console.error('Failed to remove check-in:', err));
+            }
+            return Promise.resolve();
+        }
+        const pattern = engine.pattern;
+        const plan = engine.plan;
+        return saveSessionRecord({
+            id: state.checkIn ? state.checkIn.sessionId : createRecordId(),
+            startedAt: engine.startedAt,
+            duration,
+            cycles: engine.cycles,
+            patternId: pattern.id,
+            phaseTime: patternUsesPhaseTime(pattern) ? engine.phaseTime : null,
+            planId: plan ? plan.id : null,
+            timeLimit: !plan ? engine.duration : null,
+            cycleLimit: !plan ? engine.cycleLimit : null,
+            timeLimitReached: completed || engine.isFinishing,
+            completed
+        });
+    }
+
+    function resumeAudio() {
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume().then(() => {
+                console.log('AudioContext resumed');
+            });
+        }
+    }
+
+    // The start screen setup, as engine options.
+    function getSessionOptions() {
+        return {
+            pattern: state.patternId,
+            phaseTime: state.phaseTime,
+            duration: getTimeLimitMs() !== null ? parseInt(state.timeLimit) : null,
+            cycles: getCycleLimit(),
+            plan: getPlan()
+        };
+    }
+
+    // Hands the start screen setup to the engine. A follower's engine has
+    // been set up from the leader's session instead.
+    function configureSession() {
+        if (!isFollowing()) {
+            breathing.configure(getSessionOptions());
+        }
+    }
+
+    // `before` is the check-in taken on the way in, if any. It is saved
+    // right away, under the id the session's record will get.
+    function startSession(before = null) {
+        if (engine.isStarted) {
+            return;
+        }
+        resumeAudio();
+        configureSession();
+        state.oneMinuteAnnounced = false;
+        state.checkIn = state.checkInEnabled ? { id: createRecordId(), sessionId: createRecordId(), before, after: null } : null;
+        if (state.checkIn && before) {
+            saveCheckIn(state.checkIn);
+        }
+        breathing.start();
+        startAmbience();
+        announce(t('session.started', { phase: getInstruction(engine.phase) }));
+        requestWakeLock();
+    }
+
+    function pauseSession() {
+        if (!breathing.pause()) {
+            return;
+        }
+        stopSweep();
+        stopAmbience(1);
+        stopSpeaking();
+        stopHaptics();
+        releaseWakeLock();
+        announce(t('session.paused'));
+    }
+
+    function resumeSession() {
+        if (!breathing.resume()) {
+            return;
+        }
+        resumeAudio();
+        resumePhaseCue(engine.getPhaseProgress());
+        startAmbience();
+        announce(t('session.resumed', { phase: getInstruction(engine.phase) }));
+        requestWakeLock();
+    }
+
+    function endSession() {
+        if (!engine.isStarted) {
+            return;
+        }
+        if (engine.status !== 'complete') {
+            recordSession(false);
+        }
+        if (!breathing.stop()) {
+            return;
+        }
+        stopSweep();
+        stopAmbience(1);
+        stopSpeaking();
+        stopHaptics();
+        releaseWakeLock();
+        state.checkIn = null;
+        announce(t('session.ended'));
+    }
+
+    function togglePlay() {
+        if (isFollowing()) {
+            return;
+        }
+        if (engine.status === 'idle') {
+            if (state.checkInEnabled && state.view === 'main') {
+                showCheckIn();
+            } else {
+                startSession();
+            }
+        } else if (engine.status === 'paused') {
+            resumeSession();
+        } else if (engine.isActive) {
+            pauseSession();
+        }
+    }
+
+    function resetToStart() {
+        if (engine.status !== 'complete') {
+            endSession();
+        } else {
+            breathing.stop();
+        }
+        state.checkIn = null;
+        render();
+    }
+
+    // Engine events, re-dispatched by the component. A single cue per
+    // phasechange, even if several phases were skipped in the background.
+    function handleStatusChange(e) {
+        if (e.detail.status === 'finishing' && e.detail.previous === 'running') {
+            announce(t('session.limitAnnounce'));
+        } else if (e.detail.status === 'idle') {
+            closePictureInPicture();
+        }
+        publishGroupState();
+        render();
+    }
+
+    function handlePhaseChange() {
+        playPhaseCue(engine.getPhaseProgress());
+        updateOceanSwell(engine.getPhaseProgress());
+        playPhaseHaptic();
+        speakPhase();
+        announce(getInstruction(engine.phase));
+        publishGroupState();
+        render();
+    }
+
+    function handleSessionTick(e) {
+        const { elapsed, phaseStarted } = e.detail;
+        if (!phaseStarted) {
+            playHoldTick();
+            playHoldHaptic();
+            speakCountdown();
+        }
+        const limitMs = engine.getSessionLimitMs();
+        if (engine.status === 'running' && limitMs !== null && limitMs > 60000
+            && !state.oneMinuteAnnounced && limitMs - elapsed <= 60000) {
+            state.oneMinuteAnnounced = true;
+            speakReminder(t('session.oneMinute'));
+        }
+        render();
+    }
+
+    function handleSegmentChange(e) {
+        announce(t('session.segmentStarted', { name: e.detail.segment.name }));
+    }
+
+    function handleSessionComplete() {
+        stopSweep();
+        stopAmbience();
+        releaseWakeLock();
+        playCompletionCue();
+        playCompletionHaptic();
+        announce(t('session.complete'));
+        speakReminder(t('session.complete'));
+        // Today's remaining reminders are no longer needed.
+        recordSession(true).then(scheduleReminders);
+    }
+
+    breathing.addEventListener('statuschange', handleStatusChange);
+    breathing.addEventListener('phasechange', handlePhaseChange);
+    breathing.addEventListener('tick', handleSessionTick);
+    breathing.addEventListener('segmentchange', handleSegmentChange);
+    breathing.addEventListener('complete', handleSessionComplete);
+
+    // Group breathing (see group-session.js). The leader's session goes out
+    // on every status and phase change and with the heartbeat. Followers run
+    // the leader's configuration and seek their clock to the leader's
+    // whenever the two drift apart; they can't start, pause or retime it.
+    const GROUP_SYNC_TOLERANCE_MS = 80;
+    let group = null;
+
+    function isFollowing() {
+        return group !== null && group.role === 'follower';
+    }
+
+    function isRelayUrl(value) {
+        return /^wss?:\/\/\S+$/i.test(value);
+    }
+
+    function getGroupSnapshot() {
+        return {
+            status: engine.status,
+            config: engine.isStarted
+                ? { pattern: engine.pattern.id, phaseTime: engine.phaseTime, duration: engine.duration, cycles: engine.cycleLimit, plan: engine.plan }
+                : getSessionOptions(),
+            elapsedMs: engine.getElapsedMs(),
+            count: engine.cycles,
+            countdown: engine.countdown,
+            startedAt: engine.startedAt
+        };
+    }
+
+    function publishGroupState() {
+        if (group && group.role === 'leader') {
+            group.publish();
+        }
+    }
+
+    function openGroup(role) {
+        const room = normalizeRoomCode(state.groupRoom) || (role === 'leader' ? createRoomCode() : '');
+        if (!room) {
+            showNotice(t('group.roomRequired'));
+            return;
+        }
+        leaveGroup();
+        const session = new GroupSession({
+            role,
+            room,
+            name: state.groupName || t('group.defaultName'),
+            relayUrl: state.relayUrl,
+            getSession: role === 'leader' ? getGroupSnapshot : null
+        });
+        if (!session.connect()) {
+            showNotice(t('group.unsupported'));
+            return;
+        }
+        group = session;
+        group.addEventListener('peerschange', handleGroupPeersChange);
+        group.addEventListener('state', followGroupState);
+        group.addEventListener('relaychange', render);
+        state.groupRoom = room;
+        render();
+    }
+
+    // A follower's session ends with the group; a leader's carries on.
+    function leaveGroup() {
+        if (!group) return;
+        const wasFollowing = isFollowing();
+        group.close();
+        group = null;
+        if (wasFollowing && engine.isStarted && engine.status !== 'complete') {
+            endSession();
+        }
+        render();
+    }
+
+    function endSessionOrLeave() {
+        if (isFollowing()) {
+            leaveGroup();
+        } else {
+            endSession();
+        }
+    }
+
+    let groupPeers = [];
+
+    function handleGroupPeersChange(e) {
+        const { peers } = e.detail;
+        const ids = new Set(peers.map(peer => peer.id));
+        const previousIds = new Set(groupPeers.map(peer => peer.id));
+        peers.filter(peer => !previousIds.has(peer.id))
+            .forEach(peer => announce(t('group.joined', { name: getPeerName(peer) })));
+        groupPeers.filter(peer => !ids.has(peer.id)).forEach(peer => {
+            announce(t(peer.role === 'leader' && isFollowing() ? 'group.leaderLeft' : 'group.left', { name: getPeerName(peer) }));
+        });
+        groupPeers = peers;
+        render();
+    }
+
+    function getPeerName(peer) {
+        return peer.name || t('group.defaultName');
+    }
+
+    // Everyone in the group, starting with this device.
+    function getGroupMemberNames() {
+        const own = group.name || t('group.defaultName');
+        return [t(group.role === 'leader' ? 'group.youLeading' : 'group.you', { name: own })]
+            .concat(group.peers.map(peer => (peer.role === 'leader' ? t('group.leaderName', { name: getPeerName(peer) }) : getPeerName(peer))));
+    }
+
+    function followGroupState(e) {
+        const { session, elapsedMs } = e.detail;
+        if (session.status === 'idle') {
+            if (engine.isStarted && engine.status !== 'complete') {
+                endSession();
+            }
+            return;
+        }
+        if (engine.status === 'complete') {
+            if (session.status === 'complete') return;
+            // The leader has started again.
+            breathing.stop();
+            state.checkIn = null;
+        }
+        if (!engine.isStarted) {
+            if (session.status === 'complete') return;
+            breathing.configure(session.config);
+            startSession();
+        }
+        if (session.status !== 'paused' && engine.status === 'paused') {
+            resumeSession();
+        }
+        if (Math.abs(engine.getElapsedMs() - elapsedMs) > GROUP_SYNC_TOLERANCE_MS) {
+            breathing.seek(elapsedMs);
+        }
+        if (session.status === 'paused' && engine.isActive) {
+            pauseSession();
+        }
+    }
+
+    function showGroup() {
+        state.view = 'group';
+        render();
+    }
+
+    function handleGroupNameChange(e) {
+        state.groupName = e.target.value.trim().slice(0, 40);
+        saveSettings();
+    }
+
+    function handleGroupRoomChange(e) {
+        state.groupRoom = normalizeRoomCode(e.target.value);
+        render();
+    }
+
+    function handleRelayUrlChange(e) {
+        const value = e.target.value.trim();
+        if (value && !isRelayUrl(value)) {
+            showNotice(t('group.relayInvalid'));
+            e.target.value = state.relayUrl;
+            return;
+        }
+        state.relayUrl = value;
+        saveSettings();
+    }
+
+    window.addEventListener('pagehide', () => {
+        if (group) {
+            group.close();
+        }
+    });
+
+    function toggleSound() {
+        state.soundEnabled = !state.soundEnabled;
+        saveSettings();
+        render();
+    }
+
+    function handleCueStyleChange(e) {
+        state.cueStyle = cueStyles.some(style => style.id === e.target.value) ? e.target.value : 'chime';
+        saveSettings();
+        render();
+    }
+
+    function handleVolumeChange(e) {
+        state.volume = clampVolume(e.target.value / 100);
+        if (masterGain) {
+            masterGain.gain.setValueAtTime(state.volume, audioContext.currentTime);
+        }
+        saveSettings();
+        render();
+    }
+
+    function toggleHoldTicks(e) {
+        state.holdTicks = e.target.checked;
+        saveSettings();
+    }
+
+    function toggleAmbience(e) {
+        state.ambientEnabled = e.target.checked;
+        saveSettings();
+        render();
+    }
+
+    function handleAmbientLevelChange(e) {
+        const id = e.target.dataset.ambientLayer;
+        if (!(id in state.ambientLevels)) return;
+        state.ambientLevels = { ...state.ambientLevels, [id]: Math.min(1, Math.max(0, e.target.value / 100)) };
+        saveSettings();
+        render();
+    }
+
+    function toggleVoice(e) {
+        state.voiceEnabled = e.target.checked;
+        saveSettings();
+        render();
+    }
+
+    function handleVoiceChange(e) {
+        state.voiceURI = e.target.value;
+        saveSettings();
+    }
+
+    function handleVoiceRateChange(e) {
+        state.voiceRate = clampVoiceRate(e.target.value);
+        saveSettings();
+        render();
+    }
+
+    function handleVoiceVerbosityChange(e) {
+        state.voiceVerbosity = voiceVerbosityLevels.some(level => level.id === e.target.value)
+            ? e.target.value
+            : 'standard';
+        saveSettings();
+    }
+
+    function toggleHaptics(e) {
+        state.hapticsEnabled = e.target.checked;
+        saveSettings();
+        if (state.hapticsEnabled) {
+            vibrate(hapticPatterns.grow);
+        }
+        render();
+    }
+
+    function toggleHapticHoldTicks(e) {
+        state.hapticHoldTicks = e.target.checked;
+        saveSettings();
+    }
+
+    function handleTimeLimitChange(e) {
+        const digits = e.target.value.replace(/[^0-9]/g, '');
+        if (state.limitUnit === 'cycles') {
+            state.cycleLimit = digits;
+        } else {
+            state.timeLimit = digits;
+        }
+        saveSettings();
+    }
+
+    function handleLimitUnitChange(e) {
+        state.limitUnit = e.target.value === 'cycles' ? 'cycles' : 'minutes';
+        saveSettings();
+        render();
+    }
+
+    // The timer badge steps through the displays that make sense for the
+    // current session.
+    function cycleTimerDisplay() {
+        const displays = getTimerDisplays();
+        const current = displays.indexOf(state.timerDisplay);
+        state.timerDisplay = displays[(current + 1) % displays.length];
+        saveSettings();
+        render();
+    }
+
+    function handlePatternChange(e) {
+        state.patternId = getPattern(e.target.value).id;
+        saveSettings();
+        render();
+    }
+
+    function handleVisualizationChange(e) {
+        state.visualization = findVisualization(e.target.value).id;
+        saveSettings();
+        render();
+    }
+
+    function handlePlanChange(e) {
+        state.planId = getAvailablePlans().some(plan => plan.id === e.target.value) ? e.target.value : '';
+        saveSettings();
+        render();
+    }
+
+    function handleThemeChange(e) {
+        state.theme = themeOptions.some(theme => theme.id === e.target.value) ? e.target.value : 'auto';
+        saveSettings();
+        applyTheme();
+        render();
+    }
+
+    function handleLanguageChange(e) {
+        state.locale = getLocaleSetting(e.target.value);
+        saveSettings();
+        // Reminder notifications are written in the language in use.
+        updateLocale().then(scheduleReminders);
+    }
+
+    function handlePowerModeChange(e) {
+        state.powerMode = powerModes.some(mode => mode.id === e.target.value) ? e.target.value : 'auto';
+        saveSettings();
+        render();
+    }
+
+    function handlePhaseTimeChange(e) {
+        state.phaseTime = clampPhaseTime(e.target.value);
+        saveSettings();
+        render();
+    }
+
+    function startWithPreset(preset) {
+        if (isFollowing()) return;
+        state.timeLimit = preset.minutes ? preset.minutes.toString() : '';
+        state.limitUnit = 'minutes';
+        state.planId = '';
+        state.patternId = getPattern(preset.patternId).id;
+        state.phaseTime = preset.phaseTime;
+        if (preset.soundEnabled !== null) {
+            state.soundEnabled = preset.soundEnabled;
+        }
+        saveSettings();
+        startSession();
+    }
+
+    function handleVisibilityChange() {
+        // The browser drops the wake lock while the page is hidden.
+        if (document.visibilityState === 'visible' && engine.isActive) {
+            requestWakeLock();
+        }
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Low power mode, chosen explicitly or automatically on low battery.
+    const powerModes = [
+        { id: 'auto' },
+        { id: 'normal' },
+        { id: 'low' }
+    ];
+
+    function isLowPower() {
+        return state.powerMode === 'low' || (state.powerMode === 'auto' && state.batteryLow);
+    }
+
+    // Mirrors the display settings onto the component.
+    function updateBreathingDisplay() {
+        if (breathing.getAttribute('visual') !== state.visualization) {
+            breathing.setAttribute('visual', state.visualization);
+        }
+        if (breathing.hasAttribute('low-power') !== isLowPower()) {
+            breathing.toggleAttribute('low-power', isLowPower());
+        }
+    }
+
+    if (typeof navigator.getBattery === 'function') {
+        navigator.getBattery()
+            .then(battery => {
+                const updateBattery = () => {
+                    state.batteryLow = !battery.charging && battery.level <= 0.2;
+                    updateBreathingDisplay();
+                };
+                updateBattery();
+                battery.addEventListener('levelchange', updateBattery);
+                battery.addEventListener('chargingchange', updateBattery);
+            })
+            // Without battery status, auto mode keeps the full frame rate.
+            .catch(() => {});
+    }
+
+    function toDayKey(date) {
+        const d = new Date(date);
+        const month = (d.getMonth() + 1).toString().padStart(2, '0');
+        const day = d.getDate().toString().padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    function startOfDay(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    }
+
+    function addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    }
+
+    // Minutes practised per local calendar day, keyed by YYYY-MM-DD.
+    function getMinutesByDay(records) {
+        const minutesByDay = new Map();
+        records.forEach(record => {
+            const key = toDayKey(record.startedAt);
+            minutesByDay.set(key, (minutesByDay.get(key) || 0) + record.duration / 60);
+        });
+        return minutesByDay;
+    }
+
+    function computeStats(records, now = new Date()) {
+        const today = startOfDay(now);
+        const weekStart = addDays(today, -6).getTime();
+        const minutesByDay = getMinutesByDay(records);
+
+        let currentStreak = 0;
+        // Today doesn't break the streak until it is over.
+        let cursor = minutesByDay.has(toDayKey(today)) ? today : addDays(today, -1);
+        while (minutesByDay.has(toDayKey(cursor))) {
+            currentStreak += 1;
+            cursor = addDays(cursor, -1);
+        }
+
+        let longestStreak = 0;
+        let run = 0;
+        let previousDay = null;
+        Array.from(minutesByDay.keys()).sort().forEach(key => {
+            const day = new Date(`${key}T00:00:00`);
+            run = previousDay && toDayKey(addDays(previousDay, 1)) === key ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+            previousDay = day;
+        });
+
+        return {
+            totalMinutes: Math.round(records.reduce((sum, record) => sum + record.duration, 0) / 60),
+            totalSessions: records.length,
+            sessionsToday: records.filter(record => toDayKey(record.startedAt) === toDayKey(today)).length,
+            sessionsThisWeek: records.filter(record => record.startedAt >= weekStart).length,
+            currentStreak,
+            longestStreak
+        };
+    }
+
+    const HEATMAP_WEEKS = 15;
+
+    // GitHub-style calendar: one column per week (Monday first), one row per
+    // weekday, ending with the current week.
+    function drawHeatmap(heatmapCanvas, records) {
+        const heatmapCtx = heatmapCanvas.getContext('2d');
+        if (!heatmapCtx) return;
+
+        const cssWidth = heatmapCanvas.clientWidth || 300;
+        const gap = 3;
+        const cell = Math.floor((cssWidth - gap * (HEATMAP_WEEKS - 1)) / HEATMAP_WEEKS);
+        const cssHeight = cell * 7 + gap * 6;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, 1.75);
+
+        heatmapCanvas.style.height = `${cssHeight}px`;
+        heatmapCanvas.width = Math.floor(cssWidth * pixelRatio);
+        heatmapCanvas.height = Math.floor(cssHeight * pixelRatio);
+        heatmapCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        heatmapCtx.clearRect(0, 0, cssWidth, cssHeight);
+
+        const theme = getTheme();
+        const minutesByDay = getMinutesByDay(records);
+        const maxMinutes = Math.max(1, ...minutesByDay.values());
+        const today = startOfDay(new Date());
+        const mondayOffset = (today.getDay() + 6) % 7;
+        const firstDay = addDays(today, -mondayOffset - (HEATMAP_WEEKS - 1) * 7);
+
+        for (let week = 0; week < HEATMAP_WEEKS; week++) {
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const day = addDays(firstDay, week * 7 + weekday);
+                if (day > today) continue;
+                const minutes = minutesByDay.get(toDayKey(day)) || 0;
+                heatmapCtx.fillStyle = minutes > 0
+                    ? hexToRgba(theme.heatmap.fill, 0.25 + 0.75 * Math.min(1, minutes / maxMinutes))
+                    : theme.heatmap.empty;
+                heatmapCtx.fillRect(week * (cell + gap), weekday * (cell + gap), cell, cell);
+            }
+        }
+    }
+
+    function showStats() {
+        state.view = 'stats';
+        state.history = null;
+        state.historyError = null;
+        render();
+        loadSessionRecords()
+            .then(records => {
+                state.history = records;
+            })
+            .catch(err => {
+                console.error('Failed to load session history:', err);
+                state.historyError = t('stats.unavailable');
+            })
+            .then(() => {
+                if (state.view === 'stats') {
+                    render();
+                }
+            });
+    }
+
+    // Backups: JSON carries settings and sessions with a schema version, CSV
+    // carries sessions only, for spreadsheets. Both import again, merging
+    // sessions by id. Everything happens in the browser.
+    const EXPORT_SCHEMA_VERSION = 1;
+    const csvColumns = ['id', 'startedAt', 'duration', 'cycles', 'patternId', 'phaseTime',
+        'planId', 'timeLimit', 'cycleLimit', 'timeLimitReached', 'completed'];
+
+    // Normalizes an imported session, or returns null if it can't be used.
+    function normalizeSessionRecord(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const startedAt = typeof raw.startedAt === 'string' && !/^\d+$/.test(raw.startedAt)
+            ? Date.parse(raw.startedAt)
+            : Number(raw.startedAt);
+        const duration = Number(raw.duration);
+        const cycles = raw.cycles === undefined || raw.cycles === '' ? 0 : Number(raw.cycles);
+        if (!Number.isFinite(startedAt) || startedAt <= 0 || !Number.isFinite(duration) || duration <= 0
+            || !Number.isInteger(cycles) || cycles < 0) {
+            return null;
+        }
+        const optionalNumber = value => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))
+            ? null
+            : Number(value));
+        const flag = value => value === true || value === 'true';
+        return {
+            id: typeof raw.id === 'string' && raw.id ? raw.id.slice(0, 64) : createRecordId(),
+            startedAt,
+            duration: Math.round(duration),
+            cycles,
+            patternId: getPattern(raw.patternId).id,
+            phaseTime: optionalNumber(raw.phaseTime),
+            planId: typeof raw.planId === 'string' && raw.planId ? raw.planId : null,
+            timeLimit: optionalNumber(raw.timeLimit),
+            cycleLimit: optionalNumber(raw.cycleLimit),
+            timeLimitReached: flag(raw.timeLimitReached),
+            completed: raw.completed === undefined || raw.completed === '' ? true : flag(raw.completed)
+        };
+    }
+
+    function toCsvValue(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function sessionsToCsv(records) {
+        const rows = records.map(record => csvColumns.map(column => toCsvValue(column === 'startedAt'
+            ? new Date(record.startedAt).toISOString()
+            : record[column])).join(','));
+        return [csvColumns.join(',')].concat(rows).join('\r\n');
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF or LF.
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    function csvToSessions(text) {
+        const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (!header || !['startedAt', 'duration'].every(column => header.includes(column))) {
+            throw new Error(t('import.csvColumns'));
+        }
+        return rows.map(cells => Object.fromEntries(header.map((column, index) => [column.trim(), cells[index]])));
+    }
+
+    function downloadFile(filename, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async function loadRecordsForExport() {
+        try {
+            return await loadSessionRecords();
+        } catch (err) {
+            console.error('Failed to load session history:', err);
+            return [];
+        }
+    }
+
+    async function exportData(format) {
+        const records = await loadRecordsForExport();
+        const journal = format === 'csv' ? [] : await loadJournalEntries().catch(err => {
+            console.error('Failed to load journal:', err);
+            return [];
+        });
+        const stamp = toDayKey(new Date());
+        if (format === 'csv') {
+            downloadFile(`box-breathing-sessions-${stamp}.csv`, 'text/csv', sessionsToCsv(records));
+        } else {
+            downloadFile(`box-breathing-backup-${stamp}.json`, 'application/json', JSON.stringify({
+                app: 'box-breathing',
+                schemaVersion: EXPORT_SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                settings: getSettingsSnapshot(),
+                sessions: records,
+                journal
+            }, null, 2));
+        }
+        showNotice(tn('export.done', records.length));
+    }
+
+    // Reads a JSON backup or a CSV file into { sessions, settings }.
+    function parseImport(text, filename) {
+        if (/\.csv$/i.test(filename) || !text.trim().startsWith('{')) {
+            return { sessions: csvToSessions(text), journal: [], settings: null };
+        }
+        const data = JSON.parse(text);
+        if (!data || data.app !== 'box-breathing' || !Number.isInteger(data.schemaVersion)) {
+            throw new Error(t('import.notBackup'));
+        }
+        if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+            throw new Error(t('import.newer'));
+        }
+        return {
+            sessions: Array.isArray(data.sessions) ? data.sessions : [],
+            journal: Array.isArray(data.journal) ? data.journal : [],
+            settings: data.settings && typeof data.settings === 'object' ? data.settings : null
+        };
+    }
+
+    async function importData(file) {
+        let parsed;
+        try {
+            parsed = parseImport(await file.text(), file.name);
+        } catch (err) {
+            console.error('Failed to read import:', err);
+            showNotice(t('import.failed', { reason: err instanceof SyntaxError ? t('import.invalidJson') : err.message }));
+            return;
+        }
+
+        const existing = await loadRecordsForExport();
+        const seenIds = new Set(existing.map(record => record.id));
+        const seenStarts = new Set(existing.map(record => `${record.startedAt}:${record.duration}`));
+        const toSave = [];
+        let invalid = 0;
+        let duplicates = 0;
+        parsed.sessions.forEach(raw => {
+            const record = normalizeSessionRecord(raw);
+            if (!record) {
+                invalid += 1;
+                return;
+            }
+            const startKey = `${record.startedAt}:${record.duration}`;
+            if (seenIds.has(record.id) || seenStarts.has(startKey)) {
+                duplicates += 1;
+                return;
+            }
+            seenIds.add(record.id);
+            seenStarts.add(startKey);
+            toSave.push(record);
+        });
+
+        // Journal entries come along as they are; existing ids are replaced.
+        const journal = parsed.journal.map(normalizeJournalEntry).filter(Boolean);
+        try {
+            if (toSave.length) {
+                await saveSessionRecords(toSave);
+            }
+            if (journal.length) {
+                await saveJournalEntries(journal);
+            }
+        } catch (err) {
+            console.error('Failed to save imported sessions:', err);
+            showNotice(t('import.unavailable'));
+            return;
+        }
+        if (parsed.settings) {
+            applySettings(parsed.settings);
+            saveSettings();
+            applyTheme();
+            await updateLocale();
+            // Imported reminders reach the service worker from here.
+            scheduleReminders();
+        }
+
+        const imported = tn(parsed.settings ? 'import.sessionsAndSettings' : 'import.sessions', toSave.length);
+        const skipped = [];
+        if (duplicates) skipped.push(tn('import.duplicates', duplicates));
+        if (invalid) skipped.push(tn('import.invalid', invalid));
+        showNotice(skipped.length
+            ? t('import.reportSkipped', { imported, skipped: formatList(skipped) })
+            : t('import.report', { imported }));
+        if (state.view === 'stats') {
+            showStats();
+        }
+    }
+
+    function handleImportFile(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            importData(file);
+        }
+    }
+
+    // Mood check-ins. With check-ins on, Start first asks how calm the user
+    // feels, and the complete screen asks again; both land in one journal
+    // entry linked to the session record by its id.
+    const moodTags = [
+        { id: 'calm' },
+        { id: 'focused' },
+        { id: 'content' },
+        { id: 'tired' },
+        { id: 'anxious' },
+        { id: 'stressed' }
+    ];
+
+    const durationBuckets = [
+        { id: 'short', maxMinutes: 5 },
+        { id: 'medium', maxMinutes: 10 },
+        { id: 'long', maxMinutes: 20 },
+        { id: 'extended', maxMinutes: Infinity }
+    ];
+
+    const JOURNAL_TREND_MONTHS = 6;
+    const NOTE_MAX_LENGTH = 1000;
+
+    // { calm: 1–10, tags, note, at }, or null if there is no usable rating.
+    function normalizeCheckIn(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const calm = parseInt(raw.calm);
+        if (!Number.isFinite(calm)) return null;
+        const at = Number(raw.at);
+        return {
+            calm: Math.min(10, Math.max(1, calm)),
+            tags: Array.isArray(raw.tags) ? moodTags.map(tag => tag.id).filter(id => raw.tags.includes(id)) : [],
+            note: typeof raw.note === 'string' ? raw.note.trim().slice(0, NOTE_MAX_LENGTH) : '',
+            at: Number.isFinite(at) && at > 0 ? at : Date.now()
+        };
+    }
+
+    function normalizeJournalEntry(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.sessionId !== 'string' || !raw.sessionId) return null;
+        const before = normalizeCheckIn(raw.before);
+        const after = normalizeCheckIn(raw.after);
+        if (!before && !after) return null;
+        return {
+            id: typeof raw.id === 'string' && raw.id ? raw.id.slice(0, 64) : createRecordId(),
+            sessionId: raw.sessionId.slice(0, 64),
+            before,
+            after
+        };
+    }
+
+    async function saveCheckIn(entry) {
+        const record = normalizeJournalEntry(entry);
+        if (!record) return false;
+        try {
+            await saveJournalEntries([record]);
+            return true;
+        } catch (err) {
+            console.error('Failed to save check-in:', err);
+            showNotice(t('checkIn.failed'));
+            return false;
+        }
+    }
+
+    function buildCheckInFields(prefix, checkIn = null) {
+        const calm = checkIn ? checkIn.calm : 5;
+        return `
+            <div class="slider-container">
+                <label for="${prefix}-calm">${t('checkIn.calm')} <span id="${prefix}-calm-value">${formatNumber(calm)}</span></label>
+                <input type="range" id="${prefix}-calm" data-check-in-calm min="1" max="10" step="1" value="${calm}">
+            </div>
+            <div class="mood-tags" role="group" aria-label="${t('checkIn.tags')}">
+                ${moodTags.map(({ id }) => `
+                    <label class="mood-tag">
+                        <input type="checkbox" id="${prefix}-tag-${id}" ${checkIn && checkIn.tags.includes(id) ? 'checked' : ''}>
+                        <span>${t(`mood.${id}`)}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <textarea id="${prefix}-note" class="check-in-note" rows="3" maxlength="${NOTE_MAX_LENGTH}" placeholder="${t('checkIn.notePlaceholder')}" aria-label="${t('checkIn.note')}">${checkIn ? escapeHtml(checkIn.note) : ''}</textarea>
+        `;
+    }
+
+    function readCheckInFields(prefix, at = Date.now()) {
+        return normalizeCheckIn({
+            calm: byId(`${prefix}-calm`).value,
+            tags: moodTags.map(tag => tag.id).filter(id => byId(`${prefix}-tag-${id}`).checked),
+            note: byId(`${prefix}-note`).value,
+            at
+        });
+    }
+
+    function handleCalmInput(e) {
+        setText(byId(`${e.target.id}-value`), formatNumber(Number(e.target.value)));
+    }
+
+    function toggleCheckIn(e) {
+        state.checkInEnabled = e.target.checked;
+        saveSettings();
+    }
+
+    function showCheckIn() {
+        state.view = 'check-in';
+        render();
+    }
+
+    function handleCheckInSubmit(e) {
+        e.preventDefault();
+        const before = readCheckInFields('check-in');
+        state.view = 'main';
+        startSession(before);
+    }
+
+    function skipCheckIn() {
+        state.view = 'main';
+        startSession();
+    }
+
+    async function handleAfterCheckInSubmit(e) {
+        e.preventDefault();
+        const entry = state.checkIn;
+        if (!entry) return;
+        entry.after = readCheckInFields('after');
+        // On failure saveCheckIn says so, and the form stays for another try.
+        if (!(await saveCheckIn(entry)) || state.checkIn !== entry) {
+            return;
+        }
+        resetToStart();
+        showNotice(t('checkIn.saved'));
+    }
+
+    // The journal: every entry with its session, and the average change in
+    // calm per pattern or duration, overall and month by month.
+    function showJournal() {
+        state.view = 'journal';
+        state.journal = null;
+        state.journalError = null;
+        render();
+        Promise.all([loadJournalEntries(), loadSessionRecords()])
+            .then(([entries, sessions]) => {
+                const sessionsById = new Map(sessions.map(session => [session.id, session]));
+                state.journal = entries
+                    .map(entry => ({ ...entry, session: sessionsById.get(entry.sessionId) || null }))
+                    .sort((a, b) => getEntryTime(b) - getEntryTime(a));
+            })
+            .catch(err => {
+                console.error('Failed to load journal:', err);
+                state.journalError = t('stats.unavailable');
+            })
+            .then(() => {
+                if (state.view === 'journal') {
+                    render();
+                }
+            });
+    }
+
+    function getEntryTime(entry) {
+        return entry.session ? entry.session.startedAt : (entry.before || entry.after).at;
+    }
+
+    function getJournalGroups() {
+        return state.journalGroup === 'duration'
+            ? durationBuckets.map(bucket => ({ id: bucket.id, name: t(`journal.duration.${bucket.id}`) }))
+            : localizeOptions(breathingPatterns, 'pattern');
+    }
+
+    function getJournalGroupId(entry) {
+        if (state.journalGroup === 'duration') {
+            const minutes = entry.session.duration / 60;
+            return durationBuckets.find(bucket => minutes < bucket.maxMinutes).id;
+        }
+        return entry.session.patternId;
+    }
+
+    function average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function computeMoodChanges(entries, now = new Date()) {
+        const firstMonth = new Date(now.getFullYear(), now.getMonth() - (JOURNAL_TREND_MONTHS - 1), 1);
+        const months = Array.from({ length: JOURNAL_TREND_MONTHS }, (_, index) => new Date(firstMonth.getFullYear(), firstMonth.getMonth() + index, 1));
+        const changesByGroup = new Map();
+        entries.forEach(entry => {
+            if (!entry.before || !entry.after || !entry.session) return;
+            const groupId = getJournalGroupId(entry);
+            if (!changesByGroup.has(groupId)) {
+                changesByGroup.set(groupId, []);
+            }
+            changesByGroup.get(groupId).push({ change: entry.after.calm - entry.before.calm, startedAt: entry.session.startedAt });
+        });
+        return getJournalGroups()
+            .filter(group => changesByGroup.has(group.id))
+            .map(group => {
+                const changes = changesByGroup.get(group.id);
+                return {
+                    ...group,
+                    count: changes.length,
+                    average: average(changes.map(item => item.change)),
+                    months: months.map((month, index) => {
+                        const end = index + 1 < months.length ? months[index + 1] : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+                        const inMonth = changes.filter(item => item.startedAt >= month.getTime() && item.startedAt < end.getTime());
+                        return { month, average: inMonth.length ? average(inMonth.map(item => item.change)) : null };
+                    }).filter(month => month.average !== null)
+                };
+            });
+    }
+
+    function formatChange(change) {
+        return formatNumber(change, { signDisplay: 'exceptZero', maximumFractionDigits: 1 });
+    }
+
+    function formatEntryDate(entry) {
+        return getFormatter(Intl.DateTimeFormat, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(getEntryTime(entry)));
+    }
+
+    function handleJournalGroupChange(e) {
+        state.journalGroup = e.target.value === 'duration' ? 'duration' : 'pattern';
+        render();
+    }
+
+    async function handleJournalAction(button) {
+        const entry = state.journal && state.journal[parseInt(button.dataset.journalIndex)];
+        if (!entry) return;
+        if (button.dataset.journalAction === 'edit') {
+            state.editingEntry = entry;
+            state.view = 'journal-edit';
+            render();
+            return;
+        }
+        try {
+            await deleteJournalEntry(entry.id);
+        } catch (err) {
+            console.error('Failed to delete journal entry:', err);
+            showNotice(t('journal.deleteFailed'));
+            return;
+        }
+        showJournal();
+    }
+
+    async function handleJournalSubmit(e) {
+        e.preventDefault();
+        const entry = state.editingEntry;
+        if (!entry) return;
+        const updated = {
+            id: entry.id,
+            sessionId: entry.sessionId,
+            before: entry.before ? readCheckInFields('edit-before', entry.before.at) : null,
+            after: entry.after ? readCheckInFields('edit-after', entry.after.at) : null
+        };
+        state.editingEntry = null;
+        await saveCheckIn(updated);
+        showJournal();
+    }
+
+    function cancelJournalEdit() {
+        state.editingEntry = null;
+        showJournal();
+    }
+
+    function showMainView() {
+        state.view = 'main';
+        render();
+    }
+
+    function describePreset(preset) {
+        const pattern = getPattern(preset.patternId);
+        const parts = [
+            preset.minutes ? t('preset.minutes', { minutes: formatNumber(preset.minutes) }) : t('preset.noLimit'),
+            t(`pattern.${pattern.id}`)
+        ];
+        if (patternUsesPhaseTime(pattern)) {
+            parts.push(t('preset.phaseTime', { seconds: formatNumber(preset.phaseTime) }));
+        }
+        if (preset.soundEnabled !== null) {
+            parts.push(preset.soundEnabled ? t('preset.soundOn') : t('preset.soundOff'));
+        }
+        return parts.join(' · ');
+    }
+
+    function showPresets() {
+        state.view = 'presets';
+        render();
+    }
+
+    function editPreset(index) {
+        const existing = state.presets[index];
+        state.editingIndex = existing ? index : null;
+        state.editingPreset = existing
+            ? { ...existing }
+            : normalizePreset({
+                name: t('preset.new'),
+                minutes: state.limitUnit === 'minutes' ? state.timeLimit : '',
+                patternId: state.patternId,
+                phaseTime: state.phaseTime,
+                soundEnabled: state.soundEnabled
+            });
+        state.view = 'preset-edit';
+        render();
+    }
+
+    function handlePresetAction(button) {
+        const index = parseInt(button.dataset.presetIndex);
+        const action = button.dataset.presetAction;
+        if (action === 'edit') {
+            editPreset(index);
+            return;
+        }
+        if (action === 'delete') {
+            state.presets.splice(index, 1);
+        } else if (action === 'up' || action === 'down') {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= state.presets.length) return;
+            const [moved] = state.presets.splice(index, 1);
+            state.presets.splice(target, 0, moved);
+        }
+        saveSettings();
+        render();
+    }
+
+    function handlePresetSubmit(e) {
+        e.preventDefault();
+        const soundValue = document.getElementById('preset-sound').value;
+        const preset = normalizePreset({
+            id: state.editingPreset.id,
+            name: document.getElementById('preset-name').value,
+            minutes: document.getElementById('preset-minutes').value,
+            patternId: document.getElementById('preset-pattern').value,
+            phaseTime: document.getElementById('preset-phase-time').value,
+            soundEnabled: soundValue === 'keep' ? null : soundValue === 'on'
+        });
+        if (state.editingIndex !== null) {
+            state.presets[state.editingIndex] = preset;
+        } else {
+            state.presets.push(preset);
+        }
+        state.editingPreset = null;
+        state.editingIndex = null;
+        saveSettings();
+        showPresets();
+    }
+
+    function cancelPresetEdit() {
+        state.editingPreset = null;
+        state.editingIndex = null;
+        showPresets();
+    }
+
+    // The plan editor works on a copy of the custom plan (or the selected
+    // built-in one as a starting point) until it is saved.
+    function editPlan() {
+        const source = state.customPlan || getPlan() || getBuiltInPlans()[0];
+        state.planDraft = source.segments.map(segment => ({ ...segment }));
+        state.view = 'plan-edit';
+        render();
+    }
+
+    // Copies the editor fields back into the draft so adding or removing a
+    // segment keeps unsaved edits.
+    function readPlanForm() {
+        state.planDraft = Array.from(app.querySelectorAll('.plan-segment')).map(fieldset => {
+            const field = name => fieldset.querySelector(`[name="${name}"]`).value;
+            const isCycles = field('unit') === 'cycles';
+            return normalizeSegment({
+                name: field('name'),
+                minutes: isCycles ? null : field('length'),
+                cycles: isCycles ? field('length') : null,
+                phaseTime: field('phaseTime'),
+                endPhaseTime: field('endPhaseTime')
+            });
+        });
+    }
+
+    function addPlanSegment() {
+        readPlanForm();
+        const last = state.planDraft[state.planDraft.length - 1];
+        state.planDraft.push(normalizeSegment({
+            name: t('segment.numbered', { number: state.planDraft.length + 1 }),
+            minutes: 2,
+            phaseTime: last ? (last.endPhaseTime === null ? last.phaseTime : last.endPhaseTime) : state.phaseTime
+        }));
+        render();
+    }
+
+    function removePlanSegment(button) {
+        readPlanForm();
+        if (state.planDraft.length > 1) {
+            state.planDraft.splice(parseInt(button.dataset.segmentIndex), 1);
+        }
+        render();
+    }
+
+    function handlePlanSubmit(e) {
+        e.preventDefault();
+        readPlanForm();
+        state.customPlan = normalizePlan({ segments: state.planDraft });
+        state.planId = state.customPlan ? state.customPlan.id : '';
+        state.planDraft = null;
+        saveSettings();
+        showMainView();
+    }
+
+    function cancelPlanEdit() {
+        state.planDraft = null;
+        showMainView();
+    }
+
+    // Deep links: ?minutes=5&phase=4&sound=on&start=1 (also read from the
+    // hash) set up the start screen, and `start` begins the session straight
+    // away. Each entry parses its value to null when invalid, in which case
+    // the fallback is applied instead.
+    const isCount = value => /^\d{1,3}$/.test(value) ? String(parseInt(value)) : null;
+    const linkParams = {
+        pattern: {
+            parse: value => breathingPatterns.some(pattern => pattern.id === value) ? value : null,
+            apply: value => { state.patternId = value; },
+            fallback: 'box'
+        },
+        phase: {
+            parse: value => {
+                const seconds = Number(value);
+                return seconds >= 3 && seconds <= 6 && Number.isInteger(seconds * 2) ? seconds : null;
+            },
+            apply: value => { state.phaseTime = value; },
+            fallback: 4
+        },
+        minutes: {
+            parse: isCount,
+            apply: value => {
+                state.timeLimit = value === '0' ? '' : value;
+                state.limitUnit = 'minutes';
+                state.planId = '';
+            },
+            fallback: ''
+        },
+        cycles: {
+            parse: isCount,
+            apply: value => {
+                state.cycleLimit = value === '0' ? '' : value;
+                state.limitUnit = 'cycles';
+                state.planId = '';
+            },
+            fallback: ''
+        },
+        plan: {
+            parse: value => builtInPlans.some(plan => plan.id === value) ? value : null,
+            apply: value => { state.planId = value; },
+            fallback: ''
+        },
+        sound: {
+            parse: value => value === 'on' ? true : (value === 'off' ? false : null),
+            apply: value => { state.soundEnabled = value; },
+            fallback: false
+        },
+        visual: {
+            parse: value => visualizations.some(visualization => visualization.id === value) ? value : null,
+            apply: value => { state.visualization = value; },
+            fallback: 'dots'
+        }
+    };
+
+    // Applies settings from the page URL (or a given query string) and returns
+    // whether to start right away. The parameters are then removed from the
+    // URL so a reload doesn't re-apply them.
+    function applyLinkSettings(query = location.search.slice(1) || location.hash.slice(1)) {
+        if (!query) {
+            return false;
+        }
+        const params = new URLSearchParams(query);
+        const invalid = [];
+        Object.keys(linkParams).forEach(name => {
+            if (!params.has(name)) return;
+            const param = linkParams[name];
+            const value = param.parse(params.get(name).trim());
+            if (value === null) {
+                invalid.push(name);
+            }
+            param.apply(value === null ? param.fallback : value);
+        });
+        const start = params.get('start');
+        if (start !== null && !['1', 'true', '0', 'false'].includes(start)) {
+            invalid.push('start');
+        }
+        saveSettings();
+        try {
+            history.replaceState(null, '', location.pathname);
+        } catch (err) {
+            console.error('Failed to clear link settings from the URL:', err);
+        }
+        if (invalid.length) {
+            showNotice(t('link.invalid', { names: formatList(invalid) }));
+        }
+        return start === '1' || start === 'true';
+    }
+
+    // A link reproducing the current start screen setup. Custom plans only
+    // live on this device, so they aren't included.
+    function getSetupLink() {
+        const params = new URLSearchParams();
+        params.set('pattern', state.patternId);
+        if (patternUsesPhaseTime(getPattern())) {
+            params.set('phase', String(state.phaseTime));
+        }
+        if (getPlan() && builtInPlans.some(plan => plan.id === state.planId)) {
+            params.set('plan', state.planId);
+        } else if (getCycleLimit() !== null) {
+            params.set('cycles', String(getCycleLimit()));
+        } else if (getTimeLimitMs() !== null) {
+            params.set('minutes', state.timeLimit);
+        }
+        params.set('sound', state.soundEnabled ? 'on' : 'off');
+        params.set('visual', state.visualization);
+        return toAppLink(params);
+    }
+
+    function getPresetLink(preset) {
+        const params = new URLSearchParams();
+        params.set('pattern', preset.patternId);
+        if (patternUsesPhaseTime(getPattern(preset.patternId))) {
+            params.set('phase', String(preset.phaseTime));
+        }
+        params.set('minutes', String(preset.minutes || 0));
+        if (preset.soundEnabled !== null) {
+            params.set('sound', preset.soundEnabled ? 'on' : 'off');
+        }
+        return toAppLink(params);
+    }
+
+    function toAppLink(params) {
+        return new URL(`?${params}`, location.href).href;
+    }
+
+    async function copySetupLink() {
+        const link = getSetupLink();
+        try {
+            await navigator.clipboard.writeText(link);
+            showNotice(t('link.copied'));
+        } catch (err) {
+            console.error('Failed to copy link:', err);
+            showNotice(t('link.copy', { link }));
+        }
+    }
+
+    // Daily reminders. The list lives in settings and is mirrored into
+    // IndexedDB so the service worker can read it. Where Notification
+    // Triggers exist, a week of reminders is scheduled up front; otherwise
+    // Periodic Background Sync and, while the app is open, a timer ask the
+    // worker to show whatever is due. Days with a completed session are
+    // skipped either way.
+    const REMINDER_SYNC_TAG = 'daily-reminders';
+    const REMINDER_TRIGGER_DAYS = 7;
+    const notificationsSupported = 'Notification' in window;
+    const notificationTriggersSupported = notificationsSupported
+        && typeof window.TimestampTrigger === 'function' && 'showTrigger' in Notification.prototype;
+    const periodicSyncSupported = typeof window.ServiceWorkerRegistration === 'function'
+        && 'periodicSync' in ServiceWorkerRegistration.prototype;
+    let reminderTimeout = null;
+
+    function normalizeReminder(reminder) {
+        const days = Array.isArray(reminder.days)
+            ? reminder.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            : [0, 1, 2, 3, 4, 5, 6];
+        return {
+            id: typeof reminder.id === 'string' && reminder.id ? reminder.id : createRecordId(),
+            time: typeof reminder.time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(reminder.time) ? reminder.time : '08:00',
+            days: Array.from(new Set(days)).sort()
+        };
+    }
+
+    // The first time after `from` that the reminder is due, or null if it
+    // has no days selected.
+    function getNextReminderTime(reminder, from = new Date()) {
+        const [hours, minutes] = reminder.time.split(':').map(Number);
+        for (let offset = 0; offset <= 7; offset++) {
+            const candidate = addDays(startOfDay(from), offset);
+            candidate.setHours(hours, minutes, 0, 0);
+            if (candidate > from && reminder.days.includes(candidate.getDay())) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    function getReminderNotice() {
+        const preset = state.presets[0];
+        return {
+            title: t('reminder.title'),
+            body: preset ? t('reminder.bodyPreset', { name: preset.name }) : t('reminder.body'),
+            url: preset ? getPresetLink(preset) : toAppLink(new URLSearchParams())
+        };
+    }
+
+    async function saveReminderConfig() {
+        const db = await openHistoryDb();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(REMINDER_STORE, 'readwrite');
+            const store = tx.objectStore(REMINDER_STORE);
+            const request = store.get('config');
+            request.onsuccess = () => {
+                const previous = request.result || {};
+                store.put({
+                    id: 'config',
+                    reminders: state.reminders,
+                    ...getReminderNotice(),
+                    // When each reminder was last shown, kept by the worker.
+                    shown: previous.shown || {}
+                });
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async function hasCompletedToday() {
+        const today = startOfDay(new Date()).getTime();
+        const records = await loadSessionRecords();
+        return records.some(record => record.completed && record.startedAt >= today);
+    }
+
+    async function scheduleReminders() {
+        clearTimeout(reminderTimeout);
+        try {
+            await saveReminderConfig();
+        } catch (err) {
+            console.error('Failed to save reminders:', err);
+        }
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration().catch(() => null)
+            : null;
+        if (registration && notificationTriggersSupported) {
+            await scheduleTriggeredReminders(registration);
+            return;
+        }
+        if (!state.reminders.length || !notificationsSupported || Notification.permission !== 'granted') {
+            return;
+        }
+        if (registration && periodicSyncSupported) {
+            registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 60 * 60 * 1000 })
+                .catch(err => console.error('Failed to register periodic sync:', err));
+        }
+        const next = state.reminders
+            .map(reminder => getNextReminderTime(reminder))
+            .filter(Boolean)
+            .sort((a, b) => a - b)[0];
+        if (next) {
+            reminderTimeout = setTimeout(() => fireDueReminders(registration), next - Date.now() + 1000);
+        }
+    }
+
+    async function scheduleTriggeredReminders(registration) {
+        try {
+            const pending = await registration.getNotifications({ includeTriggered: true });
+            pending.filter(notification => notification.tag.startsWith('reminder-')).forEach(notification => notification.close());
+            if (!state.reminders.length || Notification.permission !== 'granted') {
+                return;
+            }
+            const doneToday = await hasCompletedToday().catch(() => false);
+            const { title, body, url } = getReminderNotice();
+            const today = toDayKey(new Date());
+            const horizon = addDays(new Date(), REMINDER_TRIGGER_DAYS);
+            await Promise.all(state.reminders.flatMap(reminder => {
+                const times = [];
+                for (let at = getNextReminderTime(reminder); at && at < horizon; at = getNextReminderTime(reminder, at)) {
+                    if (!(doneToday && toDayKey(at) === today)) {
+                        times.push(at);
+                    }
+                }
+                return times.map(at => registration.showNotification(title, {
+                    body,
+                    tag: `reminder-${reminder.id}-${toDayKey(at)}`,
+                    icon: 'icons/icon-192x192.png',
+                    data: { url },
+                    showTrigger: new window.TimestampTrigger(at.getTime())
+                }));
+            }));
+        } catch (err) {
+            console.error('Failed to schedule reminders:', err);
+        }
+    }
+
+    async function fireDueReminders(registration) {
+        if (!engine.isStarted) {
+            if (registration && registration.active) {
+                registration.active.postMessage({ type: 'CHECK_REMINDERS' });
+            } else if (!(await hasCompletedToday().catch(() => false))) {
+                const { title, body, url } = getReminderNotice();
+                const notification = new Notification(title, { body, icon: 'icons/icon-192x192.png' });
+                notification.onclick = () => {
+                    window.focus();
+                    openLink(url);
+                };
+            }
+        }
+        scheduleReminders();
+    }
+
+    // Sets up the start screen from a link, as when a reminder is clicked.
+    function openLink(url) {
+        if (engine.isStarted) return;
+        state.view = 'main';
+        applyLinkSettings(new URL(url, location.href).search.slice(1));
+        render();
+    }
+
+    async function ensureNotificationPermission() {
+        if (!notificationsSupported) return false;
+        if (Notification.permission === 'default') {
+            try {
+                await Notification.requestPermission();
+            } catch (err) {
+                console.error('Failed to request notification permission:', err);
+            }
+        }
+        if (Notification.permission !== 'granted') {
+            showNotice(t('reminder.blocked'));
+            return false;
+        }
+        return true;
+    }
+
+    function showReminders() {
+        state.view = 'reminders';
+        render();
+    }
+
+    async function addReminder() {
+        state.reminders.push(normalizeReminder({ time: '08:00' }));
+        saveSettings();
+        render();
+        await ensureNotificationPermission();
+        scheduleReminders();
+        render();
+    }
+
+    function removeReminder(button) {
+        state.reminders.splice(parseInt(button.dataset.reminderIndex), 1);
+        saveSettings();
+        scheduleReminders();
+        render();
+    }
+
+    function handleReminderChange(e) {
+        const reminder = state.reminders[parseInt(e.target.dataset.reminderIndex)];
+        if (!reminder) return;
+        if (e.target.dataset.reminderField === 'time') {
+            reminder.time = normalizeReminder({ time: e.target.value }).time;
+        } else {
+            const day = parseInt(e.target.dataset.day);
+            reminder.days = e.target.checked
+                ? Array.from(new Set(reminder.days.concat(day))).sort()
+                : reminder.days.filter(value => value !== day);
+        }
+        saveSettings();
+        scheduleReminders();
+        render();
+    }
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', e => {
+            if (e.data && e.data.type === 'OPEN_LINK') {
+                openLink(e.data.url);
+            }
+        });
+    }
+
+    // Screen reader announcements go through a polite live region that lives
+    // outside #app-content, so switching screens never wipes it.
+    const liveRegion = document.getElementById('live-region');
+
+    function announce(text) {
+        if (!liveRegion || !text) return;
+        // Clear first so repeating the same phase label is announced again.
+        liveRegion.textContent = '';
+        setTimeout(() => {
+            liveRegion.textContent = text;
+        }, 50);
+    }
+
+    // Offline support. A new service worker installs in the background and
+    // waits; the page offers a reload once the user is back on the start
+    // screen, then tells the worker to take over and reloads when it has.
+    const offlineBanner = document.getElementById('offline-notification');
+    const updateBanner = document.getElementById('update-banner');
+    let waitingWorker = null;
+    let updateRequested = false;
+
+    function updateConnectionStatus(e) {
+        const offline = navigator.onLine === false;
+        if (offlineBanner) {
+            offlineBanner.hidden = !offline;
+        }
+        if (e) {
+            announce(t(offline ? 'connection.offline' : 'connection.online'));
+        }
+    }
+
+    function updateUpdateBanner() {
+        if (updateBanner) {
+            updateBanner.hidden = !waitingWorker || engine.isStarted;
+        }
+    }
+
+    function setWaitingWorker(worker) {
+        waitingWorker = worker;
+        updateUpdateBanner();
+    }
+
+    function applyUpdate() {
+        if (!waitingWorker || engine.isStarted) return;
+        updateRequested = true;
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Also fires when the very first worker claims the page; only
+            // reload for an update the user asked for, and only once.
+            if (updateRequested) {
+                updateRequested = false;
+                location.reload();
+            }
+        });
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('service-worker.js')
+                .then(registration => {
+                    if (registration.waiting && navigator.serviceWorker.controller) {
+                        setWaitingWorker(registration.waiting);
+                    }
+                    registration.addEventListener('updatefound', () => {
+                        const worker = registration.installing;
+                        if (!worker) return;
+                        worker.addEventListener('statechange', () => {
+                            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                                setWaitingWorker(worker);
+                            }
+                        });
+                    });
+                    // Look for a new version whenever the app comes back to the foreground.
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.visibilityState === 'visible' && !engine.isStarted) {
+                            registration.update().catch(err => console.error('Service worker update check failed:', err));
+                        }
+                    });
+                })
+                .catch(err => console.error('Service worker registration failed:', err));
+        });
+    }
+
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    if (updateBanner) {
+        document.getElementById('update-reload').addEventListener('click', applyUpdate);
+    }
+
+    // Short-lived visible messages, also announced. Lives outside
+    // #app-content like the live region.
+    const notice = document.getElementById('notice');
+    let noticeTimeout = null;
+
+    function showNotice(text) {
+        announce(text);
+        if (!notice) return;
+        notice.textContent = text;
+        notice.hidden = false;
+        clearTimeout(noticeTimeout);
+        noticeTimeout = setTimeout(() => {
+            notice.hidden = true;
+        }, 8000);
+    }
+
+    function updateCanvasLabel() {
+        if (!engine.isStarted) {
+            breathing.setAttribute('aria-hidden', 'true');
+            breathing.removeAttribute('aria-label');
+            return;
+        }
+        breathing.removeAttribute('aria-hidden');
+        let description;
+        if (engine.status === 'complete') {
+            description = t('canvas.complete');
+        } else if (engine.status === 'paused') {
+            description = t('canvas.paused', { phase: getInstruction(engine.phase) });
+        } else {
+            description = t('canvas.current', { phase: getInstruction(engine.phase) });
+        }
+        breathing.setAttribute('aria-label', t('canvas.label', { pattern: t(`pattern.${engine.pattern.id}`), description }));
+    }
+
+    // Identifies the focused control so it can be focused again after the
+    // markup has been replaced.
+    function getFocusSelector() {
+        const active = document.activeElement;
+        if (!active || !app.contains(active)) return null;
+        if (active.id) return `#${active.id}`;
+        if (!active.dataset.action) return null;
+        return ['action', 'presetAction', 'presetIndex', 'segmentIndex', 'reminderIndex', 'journalAction', 'journalIndex']
+            .filter(key => active.dataset[key] !== undefined)
+            .map(key => `[data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}="${active.dataset[key]}"]`)
+            .join('');
+    }
+
+    function restoreFocus(selector) {
+        if (!selector) return;
+        const target = app.querySelector(selector);
+        if (target && !target.disabled) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    function isTypingTarget(target) {
+        return target instanceof HTMLElement
+            && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+    }
+
+    function adjustPhaseTime(delta) {
+        if (!patternUsesPhaseTime(getPattern()) || isFollowing()) return;
+        const next = clampPhaseTime(state.phaseTime + delta);
+        if (next === state.phaseTime) return;
+        state.phaseTime = next;
+        saveSettings();
+        render();
+        announce(t('session.phaseTime', { seconds: formatNumber(state.phaseTime) }));
+    }
+
+    // Space: start / pause / resume. Escape: end the session, or leave a
+    // sub-screen. Arrow keys: change the phase time on the start screen.
+    function handleKeydown(e) {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        const onStartScreen = engine.status === 'idle' && state.view === 'main';
+
+        if (e.key === 'Escape') {
+            if (engine.status === 'complete') {
+                resetToStart();
+            } else if (engine.isStarted) {
+                endSessionOrLeave();
+            } else if (state.view === 'preset-edit') {
+                cancelPresetEdit();
+            } else if (state.view === 'plan-edit') {
+                cancelPlanEdit();
+            } else if (state.view === 'journal-edit') {
+                cancelJournalEdit();
+            } else if (state.view !== 'main') {
+                showMainView();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            return;
+        }
+
+        if (isTypingTarget(e.target)) return;
+
+        if (e.key === ' ' || e.key === 'Spacebar') {
+            // Let focused buttons handle Space themselves.
+            if (e.target instanceof HTMLButtonElement) return;
+            if (onStartScreen || (engine.isStarted && engine.status !== 'complete')) {
+                e.preventDefault();
+                togglePlay();
+            }
+            return;
+        }
+
+        if (onStartScreen && ['ArrowUp', 'ArrowRight', 'ArrowDown', 'ArrowLeft'].includes(e.key)) {
+            e.preventDefault();
+            // Like the slider, right to left layouts grow towards the left.
+            const forward = getTextDirection() === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+            adjustPhaseTime(e.key === 'ArrowUp' || e.key === forward ? 0.5 : -0.5);
+        }
+    }
+
+    document.addEventListener('keydown', handleKeydown);
+
+    // The view layer. Each screen builds its static markup once, when it is
+    // shown; `update` then patches only the nodes whose content changed, so a
+    // running session touches a couple of text nodes per tick. Events are
+    // handled by delegation on #app-content (see the end of this file).
+    function setText(element, text) {
+        if (element && element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+
+    // Markup last written by setHtml, so unchanged fragments are left alone.
+    const renderedHtml = new WeakMap();
+
+    function setHtml(element, html) {
+        if (element && renderedHtml.get(element) !== html) {
+            renderedHtml.set(element, html);
+            element.innerHTML = html;
+        }
+    }
+
+    function setHidden(element, hidden) {
+        if (element && element.hidden !== hidden) {
+            element.hidden = hidden;
+        }
+    }
+
+    function setValue(element, value) {
+        if (element && element.value !== String(value)) {
+            element.value = String(value);
+        }
+    }
+
+    function setChecked(element, checked) {
+        if (element && element.checked !== checked) {
+            element.checked = checked;
+        }
+    }
+
+    function byId(id) {
+        return document.getElementById(id);
+    }
+
+    function renderOptions(options, selectedId) {
+        return options.map(option => `
+            <option value="${escapeHtml(option.id)}" ${option.id === selectedId ? 'selected' : ''}>${escapeHtml(option.name)}</option>
+        `).join('');
+    }
+
+    function buildStartScreen() {
+        return `
+            <div class="settings">
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="sound-toggle">
+                        <span class="slider"></span>
+                    </label>
+                    <label for="sound-toggle">
+                        <span id="sound-icon"></span>
+                        <span id="sound-label"></span>
+                    </label>
+                </div>
+                <div id="audio-settings" class="audio-settings" hidden>
+                    <div class="form-group">
+                        <select id="cue-style">${renderOptions(localizeOptions(cueStyles, 'cue'), state.cueStyle)}</select>
+                        <label for="cue-style">${t('start.cues')}</label>
+                        <button id="preview-cues" class="icon-btn" data-action="preview-cues" aria-label="${t('start.previewCues')}">${icons.play}</button>
+                    </div>
+                    <div class="form-group">
+                        <input type="range" id="volume-slider" min="0" max="100" step="5">
+                        <label for="volume-slider">${t('start.volume')} <span id="volume-value"></span></label>
+                    </div>
+                    <div class="form-group">
+                        <label class="switch">
+                            <input type="checkbox" id="hold-ticks">
+                            <span class="slider"></span>
+                        </label>
+                        <label for="hold-ticks">${t('start.holdTicks')}</label>
+                    </div>
+                    <div class="form-group">
+                        <label class="switch">
+                            <input type="checkbox" id="ambient-toggle">
+                            <span class="slider"></span>
+                        </label>
+                        <label for="ambient-toggle">${t('start.soundscape')}</label>
+                    </div>
+                    <div id="ambient-options" class="audio-settings" hidden>
+                        ${ambientLayers.map(({ id }) => `
+                            <div class="form-group">
+                                <input type="range" id="ambient-${id}" data-ambient-layer="${id}" min="0" max="100" step="5">
+                                <label for="ambient-${id}">${t(`ambient.${id}`)} <span id="ambient-${id}-value"></span></label>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${speech ? `
+                        <div class="form-group">
+                            <label class="switch">
+                                <input type="checkbox" id="voice-toggle">
+                                <span class="slider"></span>
+                            </label>
+                            <label for="voice-toggle">${t('start.voiceGuidance')}</label>
+                        </div>
+                        <div id="voice-options" class="audio-settings" hidden>
+                            <div class="form-group">
+                                <select id="voice-select"></select>
+                                <label for="voice-select">${t('start.voice')}</label>
+                            </div>
+                            <div class="form-group">
+                                <input type="range" id="voice-rate" min="0.5" max="1.5" step="0.1">
+                                <label for="voice-rate">${t('start.voiceRate')} <span id="voice-rate-value"></span></label>
+                            </div>
+                            <div class="form-group">
+                                <select id="voice-verbosity">${renderOptions(localizeOptions(voiceVerbosityLevels, 'verbosity'), state.voiceVerbosity)}</select>
+                                <label for="voice-verbosity">${t('start.voiceVerbosity')}</label>
+                            </div>
+                        </div>
+                    ` : ''}
+                </div>
+                ${hapticsSupported ? `
+                    <div class="form-group">
+                        <label class="switch">
+                            <input type="checkbox" id="haptics-toggle">
+                            <span class="slider"></span>
+                        </label>
+                        <label for="haptics-toggle">${t('start.vibration')}</label>
+                    </div>
+                    <div id="haptic-options" class="form-group" hidden>
+                        <label class="switch">
+                            <input type="checkbox" id="haptic-ticks">
+                            <span class="slider"></span>
+                        </label>
+                        <label for="haptic-ticks">${t('start.hapticTicks')}</label>
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label class="switch">
+                        <input type="checkbox" id="check-in-toggle">
+                        <span class="slider"></span>
+                    </label>
+                    <label for="check-in-toggle">${t('start.checkIn')}</label>
+                </div>
+                <div id="plan-group" class="form-group">
+                    <select id="plan-select"></select>
+                    <label for="plan-select">${t('start.plan')}</label>
+                    <button class="icon-btn" data-action="edit-plan" aria-label="${t('start.editPlan')}">${icons.edit}</button>
+                </div>
+                <div id="time-limit-group" class="form-group">
+                    <input
+                        type="number"
+                        inputmode="numeric"
+                        id="time-limit"
+                        step="1"
+                        min="0"
+                    >
+                    <select id="limit-unit" aria-label="${t('start.limitUnit')}">
+                        <option value="minutes">${t('start.minutes')}</option>
+                        <option value="cycles">${t('start.cycles')}</option>
+                    </select>
+                    <label for="time-limit">${t('start.limit')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="pattern-select">${renderOptions(localizeOptions(breathingPatterns, 'pattern'), state.patternId)}</select>
+                    <label for="pattern-select">${t('start.pattern')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="visualization-select">${renderOptions(localizeOptions(visualizations, 'visual'), state.visualization)}</select>
+                    <label for="visualization-select">${t('start.visual')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="theme-select">${renderOptions(localizeOptions(themeOptions, 'theme'), state.theme)}</select>
+                    <label for="theme-select">${t('start.theme')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="language-select">${renderOptions(getLanguageOptions(), state.locale)}</select>
+                    <label for="language-select">${t('language.label')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="power-select">${renderOptions(localizeOptions(powerModes, 'power'), state.powerMode)}</select>
+                    <label for="power-select">${t('start.power')}</label>
+                </div>
+            </div>
+            <div id="start-prompt" class="prompt"></div>
+            <p id="group-status" class="group-status" hidden></p>
+            <p class="shortcut-hint">${t('start.shortcuts')}<span id="phase-time-hint"> · ${t('start.phaseTimeShortcut')}</span></p>
+            <button id="toggle-play" class="modern-btn main-btn" data-action="toggle-play" aria-keyshortcuts="Space">
+                ${icons.play}
+                ${t('action.start')}
+            </button>
+            <div id="phase-time-container" class="slider-container">
+                <label for="phase-time-slider">${t('start.phaseTime')} <span id="phase-time-value"></span></label>
+                <input type="range" min="3" max="6" step="0.5" id="phase-time-slider">
+            </div>
+            <div id="preset-shortcuts" class="shortcut-buttons"></div>
+            <div class="session-controls">
+                <button id="show-presets" class="modern-btn end-btn stats-btn" data-action="show-presets">
+                    ${icons.edit}
+                    ${t('action.presets')}
+                </button>
+                <button id="show-stats" class="modern-btn end-btn stats-btn" data-action="show-stats">
+                    ${icons.barChart}
+                    ${t('action.stats')}
+                </button>
+                <button id="show-journal" class="modern-btn end-btn stats-btn" data-action="show-journal">
+                    ${icons.book}
+                    ${t('action.journal')}
+                </button>
+                <button id="show-group" class="modern-btn end-btn stats-btn" data-action="show-group">
+                    ${icons.users}
+                    ${t('action.group')}
+                </button>
+                <button id="show-reminders" class="modern-btn end-btn stats-btn" data-action="show-reminders">
+                    ${icons.bell}
+                    ${t('action.reminders')}
+                </button>
+                <button id="copy-link" class="modern-btn end-btn stats-btn" data-action="copy-link">
+                    ${icons.link}
+                    ${t('action.copyLink')}
+                </button>
+            </div>
+        `;
+    }
+
+    function updateStartScreen() {
+        const volumePercent = Math.round(state.volume * 100);
+        const usesPhaseTime = patternUsesPhaseTime(getPattern());
+
+        setChecked(byId('sound-toggle'), state.soundEnabled);
+        setHtml(byId('sound-icon'), state.soundEnabled ? icons.volume2 : icons.volumeX);
+        setText(byId('sound-label'), t(state.soundEnabled ? 'start.soundOn' : 'start.soundOff'));
+
+        setHidden(byId('audio-settings'), !state.soundEnabled);
+        setValue(byId('cue-style'), state.cueStyle);
+        byId('preview-cues').disabled = state.cueStyle === 'silent';
+        setValue(byId('volume-slider'), volumePercent);
+        setText(byId('volume-value'), formatNumber(state.volume, { style: 'percent', maximumFractionDigits: 0 }));
+        setChecked(byId('hold-ticks'), state.holdTicks);
+        setChecked(byId('ambient-toggle'), state.ambientEnabled);
+        setHidden(byId('ambient-options'), !state.ambientEnabled);
+        ambientLayers.forEach(({ id }) => {
+            const level = state.ambientLevels[id];
+            setValue(byId(`ambient-${id}`), Math.round(level * 100));
+            setText(byId(`ambient-${id}-value`), formatNumber(level, { style: 'percent', maximumFractionDigits: 0 }));
+        });
+
+        if (speech) {
+            setChecked(byId('voice-toggle'), state.voiceEnabled);
+            setHidden(byId('voice-options'), !state.voiceEnabled);
+            const voiceOptions = [{ id: '', name: t('start.defaultVoice') }].concat(getVoices().map(voice => ({
+                id: voice.voiceURI,
+                name: `${voice.name} (${voice.lang})`
+            })));
+            setHtml(byId('voice-select'), renderOptions(voiceOptions, state.voiceURI));
+            setValue(byId('voice-select'), state.voiceURI);
+            setValue(byId('voice-rate'), state.voiceRate);
+            setText(byId('voice-rate-value'), `${formatNumber(state.voiceRate, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}×`);
+            setValue(byId('voice-verbosity'), state.voiceVerbosity);
+        }
+
+        if (hapticsSupported) {
+            setChecked(byId('haptics-toggle'), state.hapticsEnabled);
+            setHidden(byId('haptic-options'), !state.hapticsEnabled);
+            setChecked(byId('haptic-ticks'), state.hapticHoldTicks);
+        }
+        setChecked(byId('check-in-toggle'), state.checkInEnabled);
+
+        // A follower's timing comes from the leader.
+        const following = isFollowing();
+        ['toggle-play', 'pattern-select', 'plan-select', 'time-limit', 'limit-unit', 'phase-time-slider'].forEach(id => {
+            byId(id).disabled = following;
+        });
+        let prompt = t('start.prompt');
+        if (following) {
+            prompt = t(group.leaderId !== null ? 'group.waiting' : 'group.noLeader');
+        }
+        setText(byId('start-prompt'), prompt);
+
+        const planOptions = [{ id: '', name: t('plan.single') }].concat(getAvailablePlans());
+        setHidden(byId('plan-group'), !usesPhaseTime);
+        setHtml(byId('plan-select'), renderOptions(planOptions, state.planId));
+        setValue(byId('plan-select'), state.planId);
+        setHidden(byId('time-limit-group'), Boolean(getPlan()));
+        const limitInput = byId('time-limit');
+        const limitPlaceholder = t(state.limitUnit === 'cycles' ? 'start.limitCycles' : 'start.limitMinutes');
+        if (limitInput.placeholder !== limitPlaceholder) {
+            limitInput.placeholder = limitPlaceholder;
+        }
+        setValue(limitInput, state.limitUnit === 'cycles' ? state.cycleLimit : state.timeLimit);
+        setValue(byId('limit-unit'), state.limitUnit);
+        setValue(byId('pattern-select'), state.patternId);
+        setValue(byId('visualization-select'), state.visualization);
+        setValue(byId('theme-select'), state.theme);
+        setValue(byId('language-select'), state.locale);
+        setValue(byId('power-select'), state.powerMode);
+        setHidden(byId('phase-time-hint'), !usesPhaseTime);
+        setHidden(byId('phase-time-container'), !usesPhaseTime);
+        setValue(byId('phase-time-slider'), state.phaseTime);
+        setText(byId('phase-time-value'), formatNumber(state.phaseTime));
+
+        setHtml(byId('preset-shortcuts'), state.presets.map((preset, index) => `
+            <button class="preset-button modern-btn" data-action="start-preset" data-preset-index="${index}" ${isFollowing() ? 'disabled' : ''} title="${escapeHtml(describePreset(preset))}">
+                ${icons.clock} ${escapeHtml(preset.name)}
+            </button>
+        `).join(''));
+    }
+
+    function buildSessionScreen() {
+        return `
+            <button class="timer" data-action="cycle-timer" title="${t('timer.change')}">
+                <svg class="progress-ring" id="progress-ring" aria-hidden="true" focusable="false" viewBox="0 0 20 20" hidden>
+                    <circle class="progress-ring-track" cx="10" cy="10" r="8"></circle>
+                    <circle class="progress-ring-value" id="progress-ring-value" cx="10" cy="10" r="8" pathLength="100" stroke-dasharray="100" stroke-dashoffset="100"></circle>
+                </svg>
+                <span id="session-timer" role="timer" aria-live="off"></span>
+            </button>
+            <div id="segment-info" class="segment-info" hidden></div>
+            
+            <div style="flex-grow: 1;"></div> 
+
+            <div id="instruction" class="instruction active-phase-text"></div>
+            
+            <div style="height: 10vh;"></div>
+            <div id="limit-warning" class="limit-warning" hidden></div>
+            <div class="session-controls">
+                <button id="toggle-play" class="modern-btn main-btn" data-action="toggle-play" aria-keyshortcuts="Space">
+                    <span id="toggle-play-icon"></span>
+                    <span id="toggle-play-label"></span>
+                </button>
+                <button id="end-session" class="modern-btn end-btn" data-action="end-session" aria-keyshortcuts="Escape" hidden>
+                    ${icons.stop}
+                    ${t('action.end')}
+                </button>
+                <button id="pip-toggle" class="modern-btn end-btn" data-action="toggle-pip" hidden>
+                    ${icons.pictureInPicture}
+                    <span id="pip-toggle-label"></span>
+                </button>
+                <button id="leave-group-session" class="modern-btn end-btn" data-action="leave-group" hidden>
+                    ${icons.stop}
+                    ${t('group.leave')}
+                </button>
+            </div>
+            <p id="group-status" class="group-status" hidden></p>
+        `;
+    }
+
+    function updateSessionScreen() {
+        const isPaused = engine.status === 'paused';
+        const instruction = byId('instruction');
+        const isFinishing = engine.isFinishing;
+
+        const elapsed = engine.getElapsedMs();
+        const progress = engine.getSessionProgress(elapsed);
+        setText(byId('session-timer'), getTimerText(elapsed));
+        setHidden(byId('progress-ring'), progress === null);
+        if (progress !== null) {
+            byId('progress-ring-value').setAttribute('stroke-dashoffset', String(Math.round((1 - progress) * 1000) / 10));
+        }
+
+        const plan = engine.plan;
+        const segment = engine.segment;
+        setHidden(byId('segment-info'), !segment);
+        if (segment) {
+            setText(byId('segment-info'), t('segment.info', {
+                name: segment.name,
+                number: formatNumber(engine.segmentIndex + 1),
+                total: formatNumber(plan.segments.length),
+                remaining: describeSegmentRemaining(segment, elapsed)
+            }));
+        }
+
+        setText(instruction, isPaused ? t('session.paused') : getInstruction(engine.phase));
+        instruction.classList.toggle('is-paused', isPaused);
+        instruction.style.color = getPhaseColor(engine.phase);
+
+        setHidden(byId('limit-warning'), !isFinishing);
+        setText(byId('limit-warning'), t(isPaused ? 'session.limitReached' : 'session.finishing'));
+
+        setHtml(byId('toggle-play-icon'), isPaused ? icons.play : icons.pause);
+        setText(byId('toggle-play-label'), t(isPaused ? 'action.resume' : 'action.pause'));
+        const following = isFollowing();
+        setHidden(byId('toggle-play'), following);
+        setHidden(byId('end-session'), !isPaused || following);
+        setHidden(byId('leave-group-session'), !following);
+        setHidden(byId('pip-toggle'), !isPipSupported());
+        setText(byId('pip-toggle-label'), t(isPipOpen() ? 'action.closePip' : 'action.pip'));
+    }
+
+    function buildCompleteScreen() {
+        return `
+            <div class="complete">${t('complete.title')}</div>
+            <p class="complete-summary">${tn('complete.cycles', engine.cycles)} · ${formatTime(engine.totalTime)}</p>
+            ${state.checkIn ? `
+                <form id="after-check-in-form" class="settings check-in-form">
+                    <p class="check-in-prompt">${t('checkIn.after')}</p>
+                    ${buildCheckInFields('after')}
+                    <button type="submit" class="modern-btn main-btn">${t('checkIn.save')}</button>
+                </form>
+            ` : ''}
+            <button id="reset" class="modern-btn sub-btn" data-action="reset">
+                ${icons.rotateCcw}
+                ${t('action.backToStart')}
+            </button>
+        `;
+    }
+
+    function buildStatsScreen() {
+        return `
+            <div id="stats-content" class="stats-panel"></div>
+            <div class="session-controls">
+                <button class="modern-btn end-btn stats-btn" data-action="export-json">${icons.download} ${t('stats.exportJson')}</button>
+                <button class="modern-btn end-btn stats-btn" data-action="export-csv">${icons.download} ${t('stats.exportCsv')}</button>
+                <button class="modern-btn end-btn stats-btn" data-action="import-data">${icons.upload} ${t('stats.import')}</button>
+                <input type="file" id="import-file" accept=".json,.csv,application/json,text/csv" hidden>
+            </div>
+            <button id="hide-stats" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function updateStatsScreen() {
+        const content = byId('stats-content');
+        if (state.historyError) {
+            setHtml(content, `<p class="stats-empty">${escapeHtml(state.historyError)}</p>`);
+            return;
+        }
+        if (!state.history) {
+            setHtml(content, `<p class="stats-empty">${t('stats.loading')}</p>`);
+            return;
+        }
+        const stats = computeStats(state.history);
+        setHtml(content, `
+            <div class="stats-grid">
+                <div class="stat"><span class="stat-value">${formatNumber(stats.totalMinutes)}</span><span class="stat-label">${t('stats.totalMinutes')}</span></div>
+                <div class="stat"><span class="stat-value">${formatNumber(stats.totalSessions)}</span><span class="stat-label">${t('stats.sessions')}</span></div>
+                <div class="stat"><span class="stat-value">${formatNumber(stats.sessionsToday)}</span><span class="stat-label">${t('stats.today')}</span></div>
+                <div class="stat"><span class="stat-value">${formatNumber(stats.sessionsThisWeek)}</span><span class="stat-label">${t('stats.week')}</span></div>
+                <div class="stat"><span class="stat-value">${formatNumber(stats.currentStreak)}</span><span class="stat-label">${t('stats.currentStreak')}</span></div>
+                <div class="stat"><span class="stat-value">${formatNumber(stats.longestStreak)}</span><span class="stat-label">${t('stats.longestStreak')}</span></div>
+            </div>
+            <canvas id="stats-heatmap" class="stats-heatmap"></canvas>
+        `);
+        drawHeatmap(byId('stats-heatmap'), state.history);
+    }
+
+    function buildCheckInScreen() {
+        return `
+            <form id="check-in-form" class="settings check-in-form">
+                <p class="check-in-prompt">${t('checkIn.before')}</p>
+                ${buildCheckInFields('check-in')}
+                <div class="session-controls">
+                    <button type="submit" class="modern-btn main-btn">${icons.play} ${t('action.start')}</button>
+                    <button type="button" id="skip-check-in" class="modern-btn end-btn" data-action="skip-check-in">${t('action.skip')}</button>
+                </div>
+            </form>
+            <button id="hide-check-in" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function buildJournalScreen() {
+        return `
+            <div class="stats-panel presets-panel">
+                <div class="form-group">
+                    <select id="journal-group">
+                        <option value="pattern">${t('journal.byPattern')}</option>
+                        <option value="duration">${t('journal.byDuration')}</option>
+                    </select>
+                    <label for="journal-group">${t('journal.groupBy')}</label>
+                </div>
+                <div id="journal-summary"></div>
+                <div id="journal-list"></div>
+            </div>
+            <button id="hide-journal" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function updateJournalScreen() {
+        setValue(byId('journal-group'), state.journalGroup);
+        if (state.journalError || !state.journal) {
+            setHtml(byId('journal-summary'), '');
+            setHtml(byId('journal-list'), `<p class="stats-empty">${escapeHtml(state.journalError || t('stats.loading'))}</p>`);
+            return;
+        }
+        if (!state.journal.length) {
+            setHtml(byId('journal-summary'), '');
+            setHtml(byId('journal-list'), `<p class="stats-empty">${t('journal.empty')}</p>`);
+            return;
+        }
+
+        const monthFormat = getFormatter(Intl.DateTimeFormat, { month: 'short' });
+        const groups = computeMoodChanges(state.journal);
+        setHtml(byId('journal-summary'), groups.length ? `
+            <ul class="preset-list">
+                ${groups.map(group => `
+                    <li class="preset-item">
+                        <div class="preset-item-text">
+                            <span class="preset-item-name">${escapeHtml(group.name)}</span>
+                            <span class="preset-item-detail">${[tn('journal.pairs', group.count)].concat(group.months.map(({ month, average: change }) => `${monthFormat.format(month)} ${formatChange(change)}`)).join(' · ')}</span>
+                        </div>
+                        <span class="journal-change">${formatChange(group.average)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : `<p class="stats-empty">${t('journal.noChanges')}</p>`);
+
+        const items = state.journal.map((entry, index) => {
+            const date = escapeHtml(formatEntryDate(entry));
+            const session = entry.session
+                ? `${t(`pattern.${getPattern(entry.session.patternId).id}`)} · ${formatTime(entry.session.duration)}`
+                : t('journal.unknownSession');
+            let rating;
+            if (entry.before && entry.after) {
+                rating = t('journal.change', {
+                    before: formatNumber(entry.before.calm),
+                    after: formatNumber(entry.after.calm),
+                    change: formatChange(entry.after.calm - entry.before.calm)
+                });
+            } else {
+                rating = entry.before
+                    ? t('journal.before', { calm: formatNumber(entry.before.calm) })
+                    : t('journal.after', { calm: formatNumber(entry.after.calm) });
+            }
+            const checkIns = [entry.before, entry.after].filter(Boolean);
+            const tags = [...new Set(checkIns.flatMap(checkIn => checkIn.tags))].map(id => t(`mood.${id}`));
+            const notes = checkIns.map(checkIn => checkIn.note).filter(Boolean);
+            return `
+            <li class="preset-item">
+                <div class="preset-item-text">
+                    <span class="preset-item-name">${date}</span>
+                    <span class="preset-item-detail">${escapeHtml(session)}</span>
+                    <span class="preset-item-detail">${escapeHtml(rating)}</span>
+                    ${tags.length ? `<span class="preset-item-detail">${escapeHtml(formatList(tags))}</span>` : ''}
+                    ${notes.map(note => `<p class="journal-note">${escapeHtml(note)}</p>`).join('')}
+                </div>
+                <div class="preset-item-actions">
+                    <button class="icon-btn" data-action="journal" data-journal-action="edit" data-journal-index="${index}" aria-label="${t('journal.edit', { date })}">${icons.edit}</button>
+                    <button class="icon-btn" data-action="journal" data-journal-action="delete" data-journal-index="${index}" aria-label="${t('journal.delete', { date })}">${icons.trash}</button>
+                </div>
+            </li>
+        `;
+        }).join('');
+        const focusSelector = getFocusSelector();
+        setHtml(byId('journal-list'), `<ul class="preset-list">${items}</ul>`);
+        restoreFocus(focusSelector);
+    }
+
+    function buildJournalEditScreen() {
+        const entry = state.editingEntry;
+        return `
+            <form id="journal-form" class="settings check-in-form">
+                <p class="check-in-prompt">${escapeHtml(formatEntryDate(entry))}</p>
+                ${entry.before ? `
+                    <p class="check-in-prompt">${t('checkIn.before')}</p>
+                    ${buildCheckInFields('edit-before', entry.before)}
+                ` : ''}
+                ${entry.after ? `
+                    <p class="check-in-prompt">${t('checkIn.after')}</p>
+                    ${buildCheckInFields('edit-after', entry.after)}
+                ` : ''}
+                <div class="session-controls">
+                    <button type="submit" class="modern-btn main-btn">${t('action.save')}</button>
+                    <button type="button" id="cancel-journal" class="modern-btn end-btn" data-action="cancel-journal">${t('action.cancel')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    function buildGroupScreen() {
+        return `
+            <div class="stats-panel presets-panel">
+                <div id="group-setup">
+                    <div class="form-group">
+                        <input type="text" id="group-name" maxlength="40" autocomplete="nickname" placeholder="${t('group.defaultName')}">
+                        <label for="group-name">${t('group.name')}</label>
+                    </div>
+                    <div class="form-group">
+                        <input type="text" id="group-room" maxlength="12" autocomplete="off" autocapitalize="characters" spellcheck="false">
+                        <label for="group-room">${t('group.room')}</label>
+                    </div>
+                    <div class="form-group">
+                        <input type="text" id="group-relay" inputmode="url" autocomplete="off" spellcheck="false" placeholder="wss://…">
+                        <label for="group-relay">${t('group.relay')}</label>
+                    </div>
+                    <p class="stats-empty">${t('group.hint')}</p>
+                    <div class="session-controls">
+                        <button class="modern-btn main-btn" data-action="host-group">${icons.users} ${t('group.host')}</button>
+                        <button class="modern-btn end-btn" data-action="join-group">${t('group.join')}</button>
+                    </div>
+                </div>
+                <div id="group-info" hidden>
+                    <p id="group-room-code" class="group-room-code"></p>
+                    <p id="group-role" class="stats-empty"></p>
+                    <p id="group-relay-status" class="stats-empty" hidden></p>
+                    <div id="group-members"></div>
+                    <button id="leave-group" class="modern-btn end-btn" data-action="leave-group">${t('group.leave')}</button>
+                </div>
+            </div>
+            <button id="hide-group" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function updateGroupScreen() {
+        setHidden(byId('group-setup'), group !== null);
+        setHidden(byId('group-info'), group === null);
+        if (!group) {
+            setValue(byId('group-name'), state.groupName);
+            setValue(byId('group-room'), state.groupRoom);
+            setValue(byId('group-relay'), state.relayUrl);
+            return;
+        }
+        setText(byId('group-room-code'), group.room);
+        setText(byId('group-role'), t(group.role === 'leader' ? 'group.leading' : 'group.following', { room: group.room }));
+        setHidden(byId('group-relay-status'), group.relayStatus === 'idle');
+        setText(byId('group-relay-status'), group.relayStatus === 'idle' ? '' : t(`group.relay.${group.relayStatus}`));
+        setHtml(byId('group-members'), `
+            <ul class="preset-list">
+                ${getGroupMemberNames().map(name => `<li class="preset-item"><span class="preset-item-name">${escapeHtml(name)}</span></li>`).join('')}
+            </ul>
+        `);
+    }
+
+    // The room and who is in it, on the start and session screens.
+    function updateGroupStatus() {
+        const status = byId('group-status');
+        setHidden(status, group === null);
+        if (group) {
+            setText(status, t('group.status', { room: group.room, peers: formatList(getGroupMemberNames()) }));
+        }
+    }
+
+    function buildPresetsScreen() {
+        return `
+            <div class="stats-panel presets-panel">
+                <div id="preset-list"></div>
+                <button id="add-preset" class="modern-btn preset-button" data-action="add-preset">${icons.plus} ${t('presets.add')}</button>
+            </div>
+            <button id="hide-presets" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function updatePresetsScreen() {
+        const items = state.presets.map((preset, index) => {
+            const name = { name: preset.name };
+            return `
+            <li class="preset-item">
+                <div class="preset-item-text">
+                    <span class="preset-item-name">${escapeHtml(preset.name)}</span>
+                    <span class="preset-item-detail">${escapeHtml(describePreset(preset))}</span>
+                </div>
+                <div class="preset-item-actions">
+                    <button class="icon-btn" data-action="preset" data-preset-action="up" data-preset-index="${index}" aria-label="${escapeHtml(t('presets.moveUp', name))}" ${index === 0 ? 'disabled' : ''}>${icons.arrowUp}</button>
+                    <button class="icon-btn" data-action="preset" data-preset-action="down" data-preset-index="${index}" aria-label="${escapeHtml(t('presets.moveDown', name))}" ${index === state.presets.length - 1 ? 'disabled' : ''}>${icons.arrowDown}</button>
+                    <button class="icon-btn" data-action="preset" data-preset-action="edit" data-preset-index="${index}" aria-label="${escapeHtml(t('presets.edit', name))}">${icons.edit}</button>
+                    <button class="icon-btn" data-action="preset" data-preset-action="delete" data-preset-index="${index}" aria-label="${escapeHtml(t('presets.delete', name))}">${icons.trash}</button>
+                </div>
+            </li>
+        `;
+        }).join('');
+        const focusSelector = getFocusSelector();
+        setHtml(byId('preset-list'), items ? `<ul class="preset-list">${items}</ul>` : `<p class="stats-empty">${t('presets.empty')}</p>`);
+        restoreFocus(focusSelector);
+    }
+
+    function buildPresetEditScreen() {
+        const draft = state.editingPreset;
+        const soundValue = draft.soundEnabled === null ? 'keep' : (draft.soundEnabled ? 'on' : 'off');
+        return `
+            <form id="preset-form" class="settings preset-form">
+                <div class="form-group">
+                    <input type="text" id="preset-name" maxlength="40" value="${escapeHtml(draft.name)}" required>
+                    <label for="preset-name">${t('presetForm.name')}</label>
+                </div>
+                <div class="form-group">
+                    <input type="number" inputmode="numeric" id="preset-minutes" min="0" step="1" value="${draft.minutes || ''}" placeholder="${t('preset.noLimit')}">
+                    <label for="preset-minutes">${t('presetForm.minutes')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="preset-pattern">${renderOptions(localizeOptions(breathingPatterns, 'pattern'), draft.patternId)}</select>
+                    <label for="preset-pattern">${t('start.pattern')}</label>
+                </div>
+                <div class="form-group">
+                    <input type="number" id="preset-phase-time" min="3" max="6" step="0.5" value="${draft.phaseTime}">
+                    <label for="preset-phase-time">${t('presetForm.phaseTime')}</label>
+                </div>
+                <div class="form-group">
+                    <select id="preset-sound">
+                        <option value="keep" ${soundValue === 'keep' ? 'selected' : ''}>${t('presetForm.keep')}</option>
+                        <option value="on" ${soundValue === 'on' ? 'selected' : ''}>${t('presetForm.on')}</option>
+                        <option value="off" ${soundValue === 'off' ? 'selected' : ''}>${t('presetForm.off')}</option>
+                    </select>
+                    <label for="preset-sound">${t('presetForm.sound')}</label>
+                </div>
+                <div class="session-controls">
+                    <button type="submit" class="modern-btn main-btn">${t('action.save')}</button>
+                    <button type="button" id="cancel-preset" class="modern-btn end-btn" data-action="cancel-preset">${t('action.cancel')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    function buildPlanEditScreen() {
+        return `
+            <form id="plan-form" class="settings plan-form">
+                <div id="plan-segments" class="plan-segments"></div>
+                <button type="button" class="modern-btn end-btn" data-action="add-segment">${icons.plus} ${t('planForm.addSegment')}</button>
+                <div class="session-controls">
+                    <button type="submit" class="modern-btn main-btn">${t('action.save')}</button>
+                    <button type="button" id="cancel-plan" class="modern-btn end-btn" data-action="cancel-plan">${t('action.cancel')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    function updatePlanEditScreen() {
+        const segments = state.planDraft.map((segment, index) => {
+            const number = { number: formatNumber(index + 1) };
+            return `
+            <fieldset class="plan-segment">
+                <legend>${t('segment.numbered', number)}</legend>
+                <div class="form-group">
+                    <input type="text" name="name" maxlength="30" value="${escapeHtml(segment.name)}" aria-label="${t('planForm.name', number)}">
+                    <button type="button" class="icon-btn" data-action="remove-segment" data-segment-index="${index}" aria-label="${t('planForm.remove', number)}" ${state.planDraft.length === 1 ? 'disabled' : ''}>${icons.trash}</button>
+                </div>
+                <div class="form-group">
+                    <input type="number" name="length" min="0.5" step="0.5" value="${segment.minutes || segment.cycles}" aria-label="${t('planForm.length', number)}">
+                    <select name="unit" aria-label="${t('planForm.unit', number)}">
+                        <option value="minutes" ${segment.minutes ? 'selected' : ''}>${t('planForm.minutes')}</option>
+                        <option value="cycles" ${segment.cycles ? 'selected' : ''}>${t('planForm.cycles')}</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <input type="number" name="phaseTime" min="3" max="6" step="0.5" value="${segment.phaseTime}" aria-label="${t('planForm.phaseTime', number)}">
+                    <span aria-hidden="true">${getTextDirection() === 'rtl' ? '←' : '→'}</span>
+                    <input type="number" name="endPhaseTime" min="3" max="6" step="0.5" value="${segment.endPhaseTime === null ? '' : segment.endPhaseTime}" placeholder="${t('planForm.steady')}" aria-label="${t('planForm.endPhaseTime', number)}">
+                    <label>${t('planForm.seconds')}</label>
+                </div>
+            </fieldset>
+        `;
+        }).join('');
+        const focusSelector = getFocusSelector();
+        setHtml(byId('plan-segments'), segments);
+        restoreFocus(focusSelector);
+    }
+
+    function buildRemindersScreen() {
+        return `
+            <div class="stats-panel presets-panel">
+                <p id="reminder-status" class="stats-empty" hidden></p>
+                <div id="reminder-list"></div>
+                <button id="add-reminder" class="modern-btn preset-button" data-action="add-reminder">${icons.plus} ${t('reminders.add')}</button>
+            </div>
+            <button id="hide-reminders" class="modern-btn end-btn" data-action="show-main">
+                ${icons.rotateCcw}
+                ${t('action.back')}
+            </button>
+        `;
+    }
+
+    function updateRemindersScreen() {
+        let status = '';
+        if (!notificationsSupported) {
+            status = t('reminders.unsupported');
+        } else if (Notification.permission === 'denied') {
+            status = t('reminders.denied');
+        } else if (state.reminders.length && !notificationTriggersSupported && !periodicSyncSupported) {
+            status = t('reminders.openOnly');
+        }
+        setHidden(byId('reminder-status'), !status);
+        setText(byId('reminder-status'), status);
+
+        const weekdays = getWeekdayNames();
+        const items = state.reminders.map((reminder, index) => {
+            const number = { number: formatNumber(index + 1) };
+            return `
+            <li class="preset-item reminder-item">
+                <div class="preset-item-text">
+                    <input type="time" id="reminder-time-${index}" data-reminder-field="time" data-reminder-index="${index}" value="${reminder.time}" aria-label="${t('reminders.time', number)}">
+                    <div class="reminder-days" role="group" aria-label="${t('reminders.days', number)}">
+                        ${weekdays.map((name, day) => `
+                            <label class="reminder-day">
+                                <input type="checkbox" id="reminder-day-${index}-${day}" data-reminder-field="day" data-reminder-index="${index}" data-day="${day}" ${reminder.days.includes(day) ? 'checked' : ''}>
+                                <span>${name}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="preset-item-actions">
+                    <button class="icon-btn" data-action="remove-reminder" data-reminder-index="${index}" aria-label="${t('reminders.delete', number)}">${icons.trash}</button>
+                </div>
+            </li>
+        `;
+        }).join('');
+        const focusSelector = getFocusSelector();
+        setHtml(byId('reminder-list'), items ? `<ul class="preset-list">${items}</ul>` : `<p class="stats-empty">${t('reminders.empty')}</p>`);
+        restoreFocus(focusSelector);
+    }
+
+    const screens = {
+        start: { build: buildStartScreen, update: updateStartScreen },
+        session: { build: buildSessionScreen, update: updateSessionScreen },
+        complete: { build: buildCompleteScreen },
+        stats: { build: buildStatsScreen, update: updateStatsScreen },
+        presets: { build: buildPresetsScreen, update: updatePresetsScreen },
+        'preset-edit': { build: buildPresetEditScreen },
+        'plan-edit': { build: buildPlanEditScreen, update: updatePlanEditScreen },
+        reminders: { build: buildRemindersScreen, update: updateRemindersScreen },
+        'check-in': { build: buildCheckInScreen },
+        journal: { build: buildJournalScreen, update: updateJournalScreen },
+        group: { build: buildGroupScreen, update: updateGroupScreen },
+        'journal-edit': { build: buildJournalEditScreen }
+    };
+
+    let currentScreen = null;
+
+    function getScreen() {
+        if (engine.status === 'complete') return 'complete';
+        if (engine.status !== 'idle') return 'session';
+        return state.view === 'main' ? 'start' : state.view;
+    }
+
+    function render() {
+        const screenName = getScreen();
+        const screen = screens[screenName];
+        if (screenName !== currentScreen) {
+            const focusSelector = getFocusSelector();
+            app.innerHTML = `<h1>${t('app.title')}</h1>${screen.build()}`;
+            currentScreen = screenName;
+            restoreFocus(focusSelector);
+        }
+        if (screen.update) {
+            screen.update();
+        }
+
+        updateGroupStatus();
+        updateBreathingDisplay();
+        updateCanvasLabel();
+        updateUpdateBanner();
+        updateMediaSession();
+    }
+
+    // Delegated event handling for everything inside #app-content.
+    const clickActions = {
+        'toggle-play': togglePlay,
+        'end-session': endSession,
+        reset: resetToStart,
+        'preview-cues': previewCues,
+        'start-preset': button => startWithPreset(state.presets[parseInt(button.dataset.presetIndex)]),
+        'show-presets': showPresets,
+        'show-stats': showStats,
+        'show-main': showMainView,
+        'add-preset': () => editPreset(-1),
+        preset: handlePresetAction,
+        'cancel-preset': cancelPresetEdit,
+        'edit-plan': editPlan,
+        'add-segment': addPlanSegment,
+        'remove-segment': removePlanSegment,
+        'cancel-plan': cancelPlanEdit,
+        'cycle-timer': cycleTimerDisplay,
+        'toggle-pip': togglePictureInPicture,
+        'copy-link': copySetupLink,
+        'export-json': () => exportData('json'),
+        'export-csv': () => exportData('csv'),
+        'import-data': () => byId('import-file').click(),
+        'show-reminders': showReminders,
+        'add-reminder': addReminder,
+        'remove-reminder': removeReminder,
+        'skip-check-in': skipCheckIn,
+        'show-journal': showJournal,
+        journal: handleJournalAction,
+        'cancel-journal': cancelJournalEdit,
+        'show-group': showGroup,
+        'host-group': () => openGroup('leader'),
+        'join-group': () => openGroup('follower'),
+        'leave-group': leaveGroup
+    };
+
+    const changeHandlers = {
+        'sound-toggle': toggleSound,
+        'cue-style': handleCueStyleChange,
+        'hold-ticks': toggleHoldTicks,
+        'ambient-toggle': toggleAmbience,
+        'voice-toggle': toggleVoice,
+        'voice-select': handleVoiceChange,
+        'voice-verbosity': handleVoiceVerbosityChange,
+        'haptics-toggle': toggleHaptics,
+        'haptic-ticks': toggleHapticHoldTicks,
+        'check-in-toggle': toggleCheckIn,
+        'journal-group': handleJournalGroupChange,
+        'group-name': handleGroupNameChange,
+        'group-room': handleGroupRoomChange,
+        'group-relay': handleRelayUrlChange,
+        'pattern-select': handlePatternChange,
+        'visualization-select': handleVisualizationChange,
+        'plan-select': handlePlanChange,
+        'limit-unit': handleLimitUnitChange,
+        'import-file': handleImportFile,
+        'theme-select': handleThemeChange,
+        'language-select': handleLanguageChange,
+        'power-select': handlePowerModeChange
+    };
+
+    const inputHandlers = {
+        'volume-slider': handleVolumeChange,
+        'voice-rate': handleVoiceRateChange,
+        'time-limit': handleTimeLimitChange,
+        'phase-time-slider': handlePhaseTimeChange
+    };
+
+    app.addEventListener('click', e => {
+        const target = e.target instanceof Element ? e.target.closest('[data-action]') : null;
+        if (!target || !app.contains(target) || target.disabled) return;
+        const action = clickActions[target.dataset.action];
+        if (action) {
+            action(target, e);
+        }
+    });
+
+    app.addEventListener('change', e => {
+        const handler = changeHandlers[e.target.id] || (e.target.dataset.reminderField ? handleReminderChange : null);
+        if (handler) {
+            handler(e);
+        }
+    });
+
+    app.addEventListener('input', e => {
+        const handler = inputHandlers[e.target.id]
+            || (e.target.dataset.ambientLayer ? handleAmbientLevelChange : null)
+            || (e.target.dataset.checkInCalm !== undefined ? handleCalmInput : null);
+        if (handler) {
+            handler(e);
+        }
+    });
+
+    app.addEventListener('submit', e => {
+        if (e.target.id === 'preset-form') {
+            handlePresetSubmit(e);
+        } else if (e.target.id === 'plan-form') {
+            handlePlanSubmit(e);
+        } else if (e.target.id === 'check-in-form') {
+            handleCheckInSubmit(e);
+        } else if (e.target.id === 'after-check-in-form') {
+            handleAfterCheckInSubmit(e);
+        } else if (e.target.id === 'journal-form') {
+            handleJournalSubmit(e);
+        }
+    });
+
+    updateConnectionStatus();
+    registerServiceWorker();
+    // Settings name new presets and plan segments from the catalog, so the
+    // language's catalog is loaded before they are applied.
+    const storedSettings = readSettings();
+    state.locale = getLocaleSetting(storedSettings && storedSettings.locale);
+    loadCatalog(getLanguage()).then(() => {
+        loadSettings(storedSettings);
+        const startFromLink = applyLinkSettings();
+        applyTheme();
+        applyLocale();
+        render();
+        scheduleReminders();
+        if (startFromLink) {
+            startSession();
+        }
+    });
 });
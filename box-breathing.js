@@ -0,0 +1,711 @@
+// <box-breathing>: a self-contained breathing guide built on SessionEngine.
+// Several can live on one page, each with its own session.
+//
+//   <script type="module" src="box-breathing.js"></script>
+//   <box-breathing pattern="box" phase-time="4" duration="5" sound controls></box-breathing>
+//
+// Attributes: pattern, phase-time (seconds), duration (minutes), cycles,
+// visual (dots | perimeter | circle | text), sound, low-power, controls.
+// Methods start(), pause(), resume(), stop(), seek(elapsedMs) and
+// configure(options) go straight to the engine (also exposed as `engine`),
+// and its events are dispatched again from the element. The `palette` and
+// `labels` properties set the phase colours and the English text; the
+// instruction, timer and controls are exposed as CSS parts. The element
+// keeps animating when moved into another window, such as a Document
+// Picture-in-Picture window.
+import { SessionEngine } from './session-engine.js';
+
+// Visualizations. drawScene clears the canvas and applies the
+// devicePixelRatio transform, then hands one frame to the selected
+// renderer, so renderers only ever deal in CSS pixels. A renderer is
+// `draw(ctx, frame)` with frame = { width, height, centerX, centerY, size,
+// phases, phase, progress, easedProgress, remaining, timestamp, isComplete,
+// reducedMotion, useSprites, pixelRatio }. With reduced motion, progress
+// arrives already stepped to whole seconds and renderers must not pulse.
+
+export function hexToRgba(hex, alpha) {
+    const normalized = hex.replace('#', '');
+    const bigint = parseInt(normalized, 16);
+    const r = (bigint >> 16) & 255;
+    const g = (bigint >> 8) & 255;
+    const b = bigint & 255;
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Corner positions, one per phase, spaced clockwise around a circle starting
+// at the top left. With four phases this gives the four corners of the box:
+// Inhale(TopLeft), Hold(TopRight), Exhale(BottomRight), Wait(BottomLeft)
+function getPhasePositions({ phases, centerX, centerY, size }) {
+    const cornerDistance = (size / 2) * Math.SQRT2;
+    return phases.map((_, index) => {
+        const angle = -3 * Math.PI / 4 + (index * 2 * Math.PI) / phases.length;
+        return {
+            x: centerX + Math.cos(angle) * cornerDistance,
+            y: centerY + Math.sin(angle) * cornerDistance
+        };
+    });
+}
+
+// Size of the active shape, as a multiple of the base radius, for a phase's
+// animation type. Holds only pulse when motion is allowed.
+function getBreathScale(animation, easedProgress, timestamp, reducedMotion = false) {
+    if (animation === 'grow') {
+        // Inhale: Grow
+        return 0.5 + 0.8 * easedProgress;
+    } else if (animation === 'hold') {
+        // Hold: Pulse slightly (Full size)
+        return 1.3 + (reducedMotion ? 0 : Math.sin(timestamp / 200) * 0.05);
+    } else if (animation === 'shrink') {
+        // Exhale: Shrink
+        return 1.3 - 0.8 * easedProgress;
+    }
+    // Wait: Pulse slightly (Small size)
+    return 0.5 + (reducedMotion ? 0 : Math.sin(timestamp / 300) * 0.05);
+}
+
+// Pre-rendered glow sprites, keyed by pixel ratio, colour and radius rounded
+// to 2px, so low-power and reduced-motion frames don't build a gradient every
+// time. Shared by every element on the page.
+const glowSprites = new Map();
+const MAX_GLOW_SPRITES = 64;
+
+function getGlowSprite(color, radius, pixelRatio) {
+    const bucket = Math.max(2, Math.round(radius / 2) * 2);
+    const key = `${pixelRatio}:${color}:${bucket}`;
+    let sprite = glowSprites.get(key);
+    if (!sprite) {
+        if (glowSprites.size >= MAX_GLOW_SPRITES) {
+            glowSprites.clear();
+        }
+        const extent = bucket * 4;
+        sprite = document.createElement('canvas');
+        sprite.width = Math.ceil(extent * pixelRatio);
+        sprite.height = Math.ceil(extent * pixelRatio);
+        const spriteCtx = sprite.getContext('2d');
+        if (spriteCtx) {
+            spriteCtx.scale(pixelRatio, pixelRatio);
+            paintGlow(spriteCtx, bucket * 2, bucket * 2, bucket, color);
+        }
+        glowSprites.set(key, sprite);
+    }
+    return { sprite, extent: bucket * 4 };
+}
+
+function paintGlow(context, x, y, radius, color) {
+    const glow = context.createRadialGradient(x, y, radius * 0.5, x, y, radius * 2);
+    glow.addColorStop(0, hexToRgba(color, 0.4));
+    glow.addColorStop(1, 'rgba(0,0,0,0)');
+    context.fillStyle = glow;
+    context.beginPath();
+    context.arc(x, y, radius * 2, 0, Math.PI * 2);
+    context.fill();
+}
+
+function drawGlow(context, x, y, radius, color, frame) {
+    if (frame.useSprites) {
+        const { sprite, extent } = getGlowSprite(color, radius, frame.pixelRatio);
+        context.drawImage(sprite, x - extent / 2, y - extent / 2, extent, extent);
+    } else {
+        paintGlow(context, x, y, radius, color);
+    }
+}
+
+// The original four glowing corner dots.
+function drawDots(context, frame) {
+    const { phases, phase, easedProgress, timestamp, size } = frame;
+    // Max radius for a dot
+    const baseRadius = size * 0.18;
+
+    getPhasePositions(frame).forEach((pos, index) => {
+        const isCurrentPhase = index === phase;
+        const { color, animation } = phases[index];
+        // Non-active dots stay small and dim
+        const radius = isCurrentPhase
+            ? baseRadius * getBreathScale(animation, easedProgress, timestamp, frame.reducedMotion)
+            : baseRadius * 0.4;
+        const opacity = isCurrentPhase ? 1 : 0.15;
+
+        if (isCurrentPhase) {
+            drawGlow(context, pos.x, pos.y, radius, color, frame);
+        }
+
+        context.beginPath();
+        context.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        context.fillStyle = hexToRgba(color, opacity);
+        context.fill();
+
+        // Stroke inactive dots to keep the structure visible
+        if (!isCurrentPhase) {
+            context.strokeStyle = hexToRgba(color, 0.3);
+            context.lineWidth = 2;
+            context.stroke();
+        }
+    });
+}
+
+// A dot travelling along the edges of the box, one edge per phase.
+function drawPerimeterTracer(context, frame) {
+    const { phases, phase, progress, size } = frame;
+    const corners = getPhasePositions(frame);
+    const edgeFor = index => [corners[index], corners[(index + 1) % corners.length]];
+
+    context.lineCap = 'round';
+    phases.forEach(({ color }, index) => {
+        const [from, to] = edgeFor(index);
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.strokeStyle = hexToRgba(color, 0.2);
+        context.lineWidth = 4;
+        context.stroke();
+    });
+
+    const { color } = phases[phase];
+    const [from, to] = edgeFor(phase);
+    const x = from.x + (to.x - from.x) * progress;
+    const y = from.y + (to.y - from.y) * progress;
+
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(x, y);
+    context.strokeStyle = hexToRgba(color, 0.9);
+    context.lineWidth = 4;
+    context.stroke();
+
+    const radius = size * 0.05;
+    drawGlow(context, x, y, radius, color, frame);
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2);
+    context.fillStyle = color;
+    context.fill();
+}
+
+// A single circle that expands on the inhale and contracts on the exhale.
+function drawBreathingCircle(context, frame) {
+    const { phases, phase, easedProgress, timestamp, centerX, centerY, size } = frame;
+    const { color, animation } = phases[phase];
+    const baseRadius = size * 0.35;
+    const radius = baseRadius * getBreathScale(animation, easedProgress, timestamp, frame.reducedMotion);
+
+    // Outline of the fully expanded circle as a guide
+    context.beginPath();
+    context.arc(centerX, centerY, baseRadius * 1.3, 0, Math.PI * 2);
+    context.strokeStyle = hexToRgba(color, 0.2);
+    context.lineWidth = 2;
+    context.stroke();
+
+    drawGlow(context, centerX, centerY, radius, color, frame);
+    context.beginPath();
+    context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+    context.fillStyle = hexToRgba(color, 0.85);
+    context.fill();
+}
+
+// Minimal mode: just a large countdown of the seconds left in the phase.
+function drawCountdownText(context, frame) {
+    const { phases, phase, remaining, centerX, centerY, size, isComplete } = frame;
+    const text = isComplete ? '✓' : String(Math.max(1, Math.ceil(remaining - 0.001)));
+    context.fillStyle = phases[phase].color;
+    context.font = `700 ${Math.round(size * 0.6)}px 'Helvetica Neue', Arial, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, centerX, centerY);
+}
+
+export const visualizations = [
+    { id: 'dots', draw: drawDots },
+    { id: 'perimeter', draw: drawPerimeterTracer },
+    { id: 'circle', draw: drawBreathingCircle },
+    { id: 'text', draw: drawCountdownText }
+];
+
+export function getVisualization(id) {
+    return visualizations.find(visualization => visualization.id === id) || visualizations[0];
+}
+
+// Phase colours by tone; the PWA sets these from its theme.
+const defaultPalette = { inhale: '#f97316', hold: '#fbbf24', exhale: '#38bdf8', rest: '#22c55e' };
+
+const defaultLabels = {
+    inhale: 'Inhale',
+    hold: 'Hold',
+    exhale: 'Exhale',
+    wait: 'Wait',
+    inhaleMore: 'Inhale More',
+    longExhale: 'Long Exhale',
+    paused: 'Paused',
+    complete: 'Complete!',
+    start: 'Start',
+    pause: 'Pause',
+    resume: 'Resume',
+    stop: 'Stop'
+};
+
+// Low power mode, set by the page through the low-power attribute.
+const LOW_POWER_FRAME_INTERVAL = 1000 / 15;
+// Reduced motion only steps once per second, so a few frames a second is plenty.
+const REDUCED_MOTION_FRAME_INTERVAL = 250;
+
+const engineEvents = ['statuschange', 'phasechange', 'tick', 'segmentchange', 'complete'];
+
+const motionQuery = typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+// One audio context for every element's chimes, created on first start()
+// so it begins inside a user gesture.
+let audioContext = null;
+
+function playChime(frequency = 523.25) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        if (audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+        const now = audioContext.currentTime;
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, now);
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(0.3, now + 0.05);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 1.5);
+        oscillator.start(now);
+        oscillator.stop(now + 1.5);
+    } catch (e) {
+        console.error('Error playing tone:', e);
+    }
+}
+
+function formatClock(seconds) {
+    const mins = Math.floor(seconds / 60).toString().padStart(2, '0');
+    const secs = (seconds % 60).toString().padStart(2, '0');
+    return `${mins}:${secs}`;
+}
+
+const template = document.createElement('template');
+template.innerHTML = `
+    <style>
+        :host {
+            display: block;
+            position: relative;
+            aspect-ratio: 1 / 1;
+            color: inherit;
+            font-family: inherit;
+        }
+        :host([hidden]) {
+            display: none;
+        }
+        canvas {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            opacity: 0;
+            transition: opacity 0.5s ease;
+            pointer-events: none;
+        }
+        canvas.is-visible {
+            opacity: 1;
+        }
+        .overlay {
+            position: absolute;
+            inset-inline: 0;
+            bottom: 0.75rem;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 0.5rem;
+        }
+        [part="instruction"] {
+            font-size: 1.5rem;
+            font-weight: 800;
+            letter-spacing: 1px;
+            text-transform: uppercase;
+            transition: color 0.3s ease;
+        }
+        [part="timer"] {
+            font-variant-numeric: tabular-nums;
+            opacity: 0.8;
+        }
+        [part~="controls"] {
+            display: none;
+            gap: 0.5rem;
+        }
+        :host([controls]) [part~="controls"] {
+            display: flex;
+        }
+        button {
+            font: inherit;
+            padding: 0.4rem 1rem;
+            border-radius: 999px;
+            border: 1px solid currentColor;
+            background: transparent;
+            color: inherit;
+            cursor: pointer;
+        }
+        [hidden] {
+            display: none !important;
+        }
+        @media (prefers-reduced-motion: reduce) {
+            canvas, [part="instruction"] {
+                transition-duration: 0.01ms;
+            }
+        }
+    </style>
+    <canvas aria-hidden="true"></canvas>
+    <div class="overlay">
+        <div part="instruction"></div>
+        <div part="timer"></div>
+        <div part="controls">
+            <button part="button toggle" type="button" data-action="toggle"></button>
+            <button part="button stop" type="button" data-action="stop" hidden></button>
+        </div>
+    </div>
+`;
+
+export class BoxBreathingElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['pattern', 'phase-time', 'duration', 'cycles', 'visual', 'low-power'];
+    }
+
+    #engine = new SessionEngine();
+    #palette = { ...defaultPalette };
+    #labels = { ...defaultLabels };
+    #parts;
+    #context;
+    #size = { width: 0, height: 0, pixelRatio: 1 };
+    #animationFrameId = null;
+    #lastFrameTime = 0;
+    #resizeObserver = null;
+    // The window the element is connected in; frames and listeners use it.
+    #view = window;
+
+    constructor() {
+        super();
+        const root = this.attachShadow({ mode: 'open' });
+        root.appendChild(template.content.cloneNode(true));
+        const canvas = root.querySelector('canvas');
+        this.#parts = {
+            canvas,
+            instruction: root.querySelector('[part="instruction"]'),
+            timer: root.querySelector('[part="timer"]'),
+            toggle: root.querySelector('[data-action="toggle"]'),
+            stop: root.querySelector('[data-action="stop"]')
+        };
+        this.#context = canvas.getContext('2d');
+        this.#parts.toggle.addEventListener('click', () => this.toggle());
+        this.#parts.stop.addEventListener('click', () => this.stop());
+
+        engineEvents.forEach(type => {
+            this.#engine.addEventListener(type, event => {
+                this.#handleEngineEvent(event);
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail }));
+            });
+        });
+    }
+
+    connectedCallback() {
+        const view = this.ownerDocument.defaultView || window;
+        this.#view = view;
+        if (typeof view.ResizeObserver === 'function') {
+            this.#resizeObserver = new view.ResizeObserver(this.#handleResize);
+            this.#resizeObserver.observe(this);
+        } else {
+            view.addEventListener('resize', this.#handleResize, { passive: true });
+        }
+        view.document.addEventListener('visibilitychange', this.#handleVisibilityChange);
+        if (motionQuery && typeof motionQuery.addEventListener === 'function') {
+            motionQuery.addEventListener('change', this.#handleMotionChange);
+        } else if (motionQuery && typeof motionQuery.addListener === 'function') {
+            motionQuery.addListener(this.#handleMotionChange);
+        }
+        this.#handleResize();
+        this.#update();
+        this.#startAnimation();
+    }
+
+    disconnectedCallback() {
+        const view = this.#view;
+        if (this.#resizeObserver) {
+            this.#resizeObserver.disconnect();
+            this.#resizeObserver = null;
+        }
+        view.removeEventListener('resize', this.#handleResize);
+        view.document.removeEventListener('visibilitychange', this.#handleVisibilityChange);
+        if (motionQuery && typeof motionQuery.removeEventListener === 'function') {
+            motionQuery.removeEventListener('change', this.#handleMotionChange);
+        } else if (motionQuery && typeof motionQuery.removeListener === 'function') {
+            motionQuery.removeListener(this.#handleMotionChange);
+        }
+        this.#stopAnimation();
+    }
+
+    attributeChangedCallback(name, _oldValue, value) {
+        if (name === 'pattern') {
+            this.#engine.configure({ pattern: value });
+        } else if (name === 'phase-time') {
+            this.#engine.configure({ phaseTime: value });
+        } else if (name === 'duration') {
+            this.#engine.configure({ duration: value });
+        } else if (name === 'cycles') {
+            this.#engine.configure({ cycles: value });
+        }
+        this.#update();
+        this.#drawStaticScene();
+    }
+
+    get engine() {
+        return this.#engine;
+    }
+
+    get status() {
+        return this.#engine.status;
+    }
+
+    // Phase colours keyed by tone: { inhale, hold, exhale, rest }.
+    get palette() {
+        return { ...this.#palette };
+    }
+
+    set palette(value) {
+        this.#palette = { ...defaultPalette, ...value };
+        this.#update();
+        this.#drawStaticScene();
+    }
+
+    // Phase labels keyed by `phase.label`, plus paused, complete, start,
+    // pause, resume and stop.
+    get labels() {
+        return { ...this.#labels };
+    }
+
+    set labels(value) {
+        this.#labels = { ...defaultLabels, ...value };
+        this.#update();
+    }
+
+    configure(options) {
+        this.#engine.configure(options);
+        this.#update();
+        this.#drawStaticScene();
+    }
+
+    start() {
+        return this.#engine.start();
+    }
+
+    pause() {
+        return this.#engine.pause();
+    }
+
+    resume() {
+        return this.#engine.resume();
+    }
+
+    stop() {
+        return this.#engine.stop();
+    }
+
+    seek(elapsedMs) {
+        return this.#engine.seek(elapsedMs);
+    }
+
+    // A video stream of the visualization, e.g. for video Picture-in-Picture.
+    captureStream(frameRate) {
+        return this.#parts.canvas.captureStream(frameRate);
+    }
+
+    // Start, pause or resume, whichever fits, as the built-in button does.
+    toggle() {
+        const engine = this.#engine;
+        if (engine.status === 'idle' || engine.status === 'complete') {
+            engine.stop();
+            return engine.start();
+        }
+        return engine.status === 'paused' ? engine.resume() : engine.pause();
+    }
+
+    #handleEngineEvent(event) {
+        const engine = this.#engine;
+        if (this.hasAttribute('sound')) {
+            if (event.type === 'phasechange') {
+                playChime();
+            } else if (event.type === 'complete') {
+                playChime(392);
+            }
+        }
+        if (event.type === 'statuschange' || event.type === 'phasechange') {
+            // Always draw the first frame of a new phase.
+            this.#lastFrameTime = 0;
+        }
+        this.#update();
+        if (event.type === 'statuschange') {
+            if (engine.isActive) {
+                this.#startAnimation();
+            } else {
+                this.#stopAnimation();
+                this.#drawStaticScene();
+            }
+        }
+    }
+
+    #isReducedMotion() {
+        return Boolean(motionQuery && motionQuery.matches);
+    }
+
+    #isLowPower() {
+        return this.hasAttribute('low-power');
+    }
+
+    #getFrameInterval() {
+        if (this.#isReducedMotion()) return REDUCED_MOTION_FRAME_INTERVAL;
+        return this.#isLowPower() ? LOW_POWER_FRAME_INTERVAL : 0;
+    }
+
+    // Updates the instruction, timer and controls.
+    #update() {
+        const engine = this.#engine;
+        const labels = this.#labels;
+        const { instruction, timer, toggle, stop, canvas } = this.#parts;
+        const phase = engine.phase;
+        const isPaused = engine.status === 'paused';
+
+        canvas.classList.toggle('is-visible', engine.isStarted);
+        if (engine.status === 'complete') {
+            instruction.textContent = labels.complete;
+        } else if (engine.isStarted) {
+            instruction.textContent = isPaused ? labels.paused : labels[phase.label] || phase.label;
+        } else {
+            instruction.textContent = '';
+        }
+        instruction.style.color = engine.isStarted ? this.#palette[phase.tone] : '';
+        timer.textContent = engine.isStarted ? formatClock(engine.totalTime) : '';
+
+        if (engine.isActive) {
+            toggle.textContent = labels.pause;
+        } else {
+            toggle.textContent = isPaused ? labels.resume : labels.start;
+        }
+        stop.textContent = labels.stop;
+        stop.hidden = !isPaused;
+    }
+
+    #handleResize = () => {
+        const rect = this.getBoundingClientRect();
+        const pixelRatio = Math.min(this.#view.devicePixelRatio || 1, 1.75);
+        const { canvas } = this.#parts;
+        this.#size = { width: rect.width, height: rect.height, pixelRatio };
+        canvas.width = Math.floor(rect.width * pixelRatio);
+        canvas.height = Math.floor(rect.height * pixelRatio);
+        if (!this.#engine.isActive) {
+            this.#drawStaticScene();
+        }
+    };
+
+    #handleVisibilityChange = () => {
+        if (this.#view.document.visibilityState !== 'visible' || !this.#engine.isActive) {
+            return;
+        }
+        // Timers may have been throttled while hidden: resync right away and
+        // restart the animation loop.
+        this.#engine.sync();
+        this.#stopAnimation();
+        this.#startAnimation();
+    };
+
+    #handleMotionChange = () => {
+        if (!this.#engine.isActive) {
+            this.#drawStaticScene();
+        }
+    };
+
+    #startAnimation() {
+        if (this.#animationFrameId === null && this.#engine.isActive && this.isConnected) {
+            this.#animationFrameId = this.#view.requestAnimationFrame(this.#animate);
+        }
+    }
+
+    #stopAnimation() {
+        if (this.#animationFrameId !== null) {
+            this.#view.cancelAnimationFrame(this.#animationFrameId);
+            this.#animationFrameId = null;
+        }
+    }
+
+    #animate = () => {
+        const engine = this.#engine;
+        const now = performance.now();
+        engine.sync(now);
+        if (!engine.isActive) {
+            this.#animationFrameId = null;
+            return;
+        }
+        if (now - this.#lastFrameTime >= this.#getFrameInterval()) {
+            this.#lastFrameTime = now;
+            this.#drawScene({ progress: engine.getPhaseProgress(now), timestamp: now });
+        }
+        this.#animationFrameId = this.#view.requestAnimationFrame(this.#animate);
+    };
+
+    // Draws a single frame while no animation loop is running.
+    #drawStaticScene() {
+        this.#drawScene({ progress: this.#engine.getPhaseProgress() });
+    }
+
+    #drawScene({ progress = 0, timestamp = performance.now() } = {}) {
+        const ctx = this.#context;
+        const engine = this.#engine;
+        const { width, height, pixelRatio } = this.#size;
+        if (!ctx || !width || !height) return;
+
+        ctx.save();
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        if (!engine.isStarted) {
+            ctx.restore();
+            return;
+        }
+
+        const phases = engine.pattern.phases.map(phase => ({ ...phase, color: this.#palette[phase.tone] }));
+        const phaseIndex = phases[engine.phaseIndex] ? engine.phaseIndex : 0;
+        const reducedMotion = this.#isReducedMotion();
+        let clampedProgress = Math.max(0, Math.min(1, progress));
+        if (reducedMotion && clampedProgress < 1) {
+            // Step once per second instead of gliding.
+            const steps = Math.max(1, Math.round(engine.getPhaseDuration(phaseIndex)));
+            clampedProgress = Math.floor(clampedProgress * steps) / steps;
+        }
+
+        getVisualization(this.getAttribute('visual')).draw(ctx, {
+            width,
+            height,
+            centerX: width / 2,
+            // Shift vertical center up slightly to account for the instruction text at the bottom
+            centerY: height / 2 - 20,
+            // Size of the square grid
+            size: Math.min(width, height) * 0.55,
+            phases,
+            phase: phaseIndex,
+            progress: clampedProgress,
+            easedProgress: 0.5 - (Math.cos(Math.PI * clampedProgress) / 2),
+            remaining: engine.getPhaseDuration(phaseIndex) * (1 - clampedProgress),
+            timestamp,
+            isComplete: engine.status === 'complete',
+            reducedMotion,
+            useSprites: reducedMotion || this.#isLowPower(),
+            pixelRatio
+        });
+
+        ctx.restore();
+    }
+}
+
+if (!customElements.get('box-breathing')) {
+    customElements.define('box-breathing', BoxBreathingElement);
+}
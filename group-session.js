@@ -0,0 +1,404 @@
+// Group breathing: one device leads and the others follow its session clock.
+// Peers talk over a BroadcastChannel (other tabs of this browser) and, given
+// a relay URL, a WebSocket relay (other devices). Both carry the same JSON
+// messages, free of any DOM:
+//
+//   hello  { name, role, since }   presence, repeated as a heartbeat; since: when the sender joined
+//   leave  {}                      sent when leaving; the relay sends it for dropped sockets
+//   state  { session, sentAt }     leader only: its session clock, see publish()
+//   ping   { t0 }, pong { t0, t1 } follower ↔ leader, to measure the clock offset
+//
+// Every message also carries `from` (the sender's peer id) and `seq` (its
+// running count, so a message arriving over both transports is used once);
+// replies carry `to`. Over the relay, a socket first sends
+// { type: 'join', room, from } and is then sent everything the other sockets
+// in its room send, stamped with the `from` it joined as. relay/server.mjs
+// is a self-hostable relay, and relay/stub-socket.js an in-page stand-in
+// for tests.
+//
+// Followers only take state from a peer that said hello as a leader. If
+// there are several (two devices hosting, or a leader that reloaded and came
+// back under a new id), every follower picks the one that joined the room
+// last: the newest host takes over, whatever its session is doing. Relay
+// reconnects don't count as joining, so a flaky connection keeps its place.
+//
+// Events:
+//   peerschange   { peers }                 someone joined, left or timed out
+//   state         { session, elapsedMs }    the leader's session, with its elapsed time as of now
+//   relaychange   { status }                idle | connecting | open | closed
+
+const HEARTBEAT_MS = 2000;
+const PEER_TIMEOUT_MS = 7000;
+const RELAY_RETRY_MS = 1000;
+const RELAY_RETRY_MAX_MS = 30000;
+const OFFSET_SAMPLES = 8;
+const NAME_MAX_LENGTH = 40;
+const ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function randomInt(max) {
+    if (globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+        return globalThis.crypto.getRandomValues(new Uint32Array(1))[0] % max;
+    }
+    return Math.floor(Math.random() * max);
+}
+
+export function createRoomCode(length = 5) {
+    return Array.from({ length }, () => ROOM_ALPHABET[randomInt(ROOM_ALPHABET.length)]).join('');
+}
+
+export function normalizeRoomCode(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 12);
+}
+
+function createPeerId() {
+    if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Sessions whose clock moves on between messages.
+function isRunning(status) {
+    return status === 'running' || status === 'finishing';
+}
+
+export class GroupSession extends EventTarget {
+    #id = createPeerId();
+    #seq = 0;
+    #role;
+    #room;
+    #name;
+    #getSession;
+    #BroadcastChannel;
+    #WebSocket;
+    #relayUrl;
+    #channel = null;
+    #socket = null;
+    #relayStatus = 'idle';
+    #retryMs = RELAY_RETRY_MS;
+    #retryTimeout = null;
+    #heartbeat = null;
+    #peers = new Map();
+    #lastSeq = new Map();
+    #leaderId = null;
+    #joinedAt = 0;
+    #offsetSamples = [];
+    #closed = false;
+
+    // role is 'leader' or 'follower'. A leader passes getSession, returning
+    // the session snapshot to broadcast. The transports default to the
+    // browser's and can be swapped, e.g. for relay/stub-socket.js.
+    constructor({
+        role,
+        room,
+        name,
+        relayUrl = '',
+        getSession = null,
+        BroadcastChannel = globalThis.BroadcastChannel,
+        WebSocket = globalThis.WebSocket
+    }) {
+        super();
+        this.#role = role === 'leader' ? 'leader' : 'follower';
+        this.#room = normalizeRoomCode(room);
+        this.#name = String(name || '').trim().slice(0, NAME_MAX_LENGTH);
+        this.#relayUrl = relayUrl;
+        this.#getSession = getSession;
+        this.#BroadcastChannel = BroadcastChannel;
+        this.#WebSocket = WebSocket;
+    }
+
+    get id() { return this.#id; }
+    get role() { return this.#role; }
+    get room() { return this.#room; }
+    get name() { return this.#name; }
+    get leaderId() { return this.#leaderId; }
+    get relayStatus() { return this.#relayStatus; }
+    get isOpen() { return !this.#closed && (this.#channel !== null || this.#relayUrl !== ''); }
+
+    // The other peers, as { id, name, role }.
+    get peers() {
+        return [...this.#peers.values()].map(({ id, name, role }) => ({ id, name, role }));
+    }
+
+    // Milliseconds to add to Date.now() to get the leader's clock.
+    get clockOffset() {
+        if (!this.#offsetSamples.length) {
+            return 0;
+        }
+        // The sample with the shortest round trip is the least skewed.
+        return this.#offsetSamples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset;
+    }
+
+    // Opens the transports. Returns false if there is no way to reach anyone.
+    connect() {
+        if (this.#closed || this.#heartbeat !== null) {
+            return this.isOpen;
+        }
+        this.#joinedAt = Date.now();
+        if (typeof this.#BroadcastChannel === 'function') {
+            try {
+                this.#channel = new this.#BroadcastChannel(`box-breathing-group-${this.#room}`);
+                this.#channel.onmessage = e => this.#receive(e.data);
+            } catch (err) {
+                console.error('Failed to open group channel:', err);
+                this.#channel = null;
+            }
+        }
+        if (this.#relayUrl && typeof this.#WebSocket !== 'function') {
+            this.#relayUrl = '';
+        }
+        if (!this.isOpen) {
+            return false;
+        }
+        this.#openRelay();
+        this.#heartbeat = setInterval(() => this.#beat(), HEARTBEAT_MS);
+        this.#beat();
+        return true;
+    }
+
+    close() {
+        if (this.#closed) {
+            return;
+        }
+        this.#send({ type: 'leave' });
+        this.#closed = true;
+        clearInterval(this.#heartbeat);
+        clearTimeout(this.#retryTimeout);
+        if (this.#channel) {
+            this.#channel.close();
+            this.#channel = null;
+        }
+        if (this.#socket) {
+            const socket = this.#socket;
+            this.#socket = null;
+            socket.close();
+        }
+        this.#peers.clear();
+        this.#setRelayStatus('idle');
+    }
+
+    // Leader only: sends the current session to everyone.
+    publish() {
+        if (this.#role !== 'leader' || this.#closed || !this.#getSession) {
+            return;
+        }
+        this.#send({ type: 'state', session: this.#getSession(), sentAt: Date.now() });
+    }
+
+    #beat() {
+        const now = Date.now();
+        let changed = false;
+        this.#peers.forEach((peer, id) => {
+            if (now - peer.seenAt > PEER_TIMEOUT_MS) {
+                this.#removePeer(id);
+                changed = true;
+            }
+        });
+        if (changed) {
+            this.#emitPeers();
+        }
+        this.#sendHello();
+        if (this.#role === 'leader') {
+            this.publish();
+        } else if (this.#leaderId !== null) {
+            this.#send({ type: 'ping', to: this.#leaderId, t0: now });
+        }
+    }
+
+    #sendHello(to) {
+        this.#send({ type: 'hello', to, name: this.#name, role: this.#role, since: this.#joinedAt });
+    }
+
+    #send(message) {
+        const data = { ...message, from: this.#id, seq: ++this.#seq };
+        if (this.#channel) {
+            try {
+                this.#channel.postMessage(data);
+            } catch (err) {
+                console.error('Failed to send to group channel:', err);
+            }
+        }
+        if (this.#socket && this.#relayStatus === 'open') {
+            try {
+                this.#socket.send(JSON.stringify(data));
+            } catch (err) {
+                console.error('Failed to send to relay:', err);
+            }
+        }
+    }
+
+    #receive(message) {
+        if (this.#closed || !message || typeof message !== 'object' || typeof message.from !== 'string'
+            || message.from === this.#id || (message.to !== undefined && message.to !== this.#id)) {
+            return;
+        }
+        const { from } = message;
+        if (Number.isInteger(message.seq)) {
+            if (message.seq <= (this.#lastSeq.get(from) || 0)) {
+                return;
+            }
+            this.#lastSeq.set(from, message.seq);
+        }
+        const peer = this.#peers.get(from);
+        if (peer) {
+            peer.seenAt = Date.now();
+        }
+
+        switch (message.type) {
+            case 'hello':
+                this.#handleHello(message, peer);
+                break;
+            case 'leave':
+                if (peer) {
+                    this.#removePeer(from);
+                    this.#emitPeers();
+                }
+                break;
+            case 'state':
+                this.#handleState(message);
+                break;
+            case 'ping':
+                if (this.#role === 'leader' && Number.isFinite(message.t0)) {
+                    this.#send({ type: 'pong', to: from, t0: message.t0, t1: Date.now() });
+                }
+                break;
+            case 'pong':
+                this.#handlePong(message);
+                break;
+            default:
+                break;
+        }
+    }
+
+    #handleHello(message, peer) {
+        const name = typeof message.name === 'string' ? message.name.trim().slice(0, NAME_MAX_LENGTH) : '';
+        const role = message.role === 'leader' ? 'leader' : 'follower';
+        const since = Number.isFinite(message.since) ? message.since : 0;
+        if (peer && peer.name === name && peer.role === role && peer.since === since) {
+            return;
+        }
+        this.#peers.set(message.from, { id: message.from, name, role, since, seenAt: Date.now() });
+        this.#chooseLeader();
+        if (!peer) {
+            // Introduce ourselves, and bring a new follower up to date.
+            this.#sendHello(message.from);
+            if (this.#role === 'leader') {
+                this.publish();
+            }
+        }
+        this.#emitPeers();
+    }
+
+    // Only the chosen leader sets the session clock.
+    #handleState(message) {
+        const { session, sentAt } = message;
+        if (this.#role !== 'follower' || this.#leaderId === null || message.from !== this.#leaderId
+            || !session || typeof session !== 'object' || !Number.isFinite(sentAt) || !Number.isFinite(session.elapsedMs)) {
+            return;
+        }
+        const inFlight = isRunning(session.status) ? Math.max(0, Date.now() + this.clockOffset - sentAt) : 0;
+        this.dispatchEvent(new CustomEvent('state', { detail: { session, elapsedMs: session.elapsedMs + inFlight } }));
+    }
+
+    // NTP-style: the leader's clock read at t1 sits halfway through the round trip.
+    #handlePong(message) {
+        const { t0, t1 } = message;
+        if (message.from !== this.#leaderId || !Number.isFinite(t0) || !Number.isFinite(t1)) {
+            return;
+        }
+        const t2 = Date.now();
+        this.#offsetSamples.push({ rtt: t2 - t0, offset: t1 - (t0 + t2) / 2 });
+        if (this.#offsetSamples.length > OFFSET_SAMPLES) {
+            this.#offsetSamples.shift();
+        }
+    }
+
+    #removePeer(id) {
+        this.#peers.delete(id);
+        if (id === this.#leaderId) {
+            this.#chooseLeader();
+        }
+    }
+
+    // Follows the leader that joined last (by id on a tie), so every
+    // follower settles on the same one. Callers emit peerschange.
+    #chooseLeader() {
+        if (this.#role !== 'follower') {
+            return;
+        }
+        let leader = null;
+        this.#peers.forEach(peer => {
+            if (peer.role === 'leader' && (leader === null || peer.since > leader.since
+                || (peer.since === leader.since && peer.id > leader.id))) {
+                leader = peer;
+            }
+        });
+        const leaderId = leader ? leader.id : null;
+        if (leaderId === this.#leaderId) {
+            return;
+        }
+        this.#leaderId = leaderId;
+        this.#offsetSamples = [];
+        if (leaderId !== null) {
+            this.#send({ type: 'ping', to: leaderId, t0: Date.now() });
+        }
+    }
+
+    #emitPeers() {
+        this.dispatchEvent(new CustomEvent('peerschange', { detail: { peers: this.peers } }));
+    }
+
+    #setRelayStatus(status) {
+        if (this.#relayStatus !== status) {
+            this.#relayStatus = status;
+            this.dispatchEvent(new CustomEvent('relaychange', { detail: { status } }));
+        }
+    }
+
+    #openRelay() {
+        if (!this.#relayUrl || this.#closed) {
+            return;
+        }
+        this.#setRelayStatus('connecting');
+        let socket;
+        try {
+            socket = new this.#WebSocket(this.#relayUrl);
+        } catch (err) {
+            console.error('Failed to connect to relay:', err);
+            this.#setRelayStatus('closed');
+            this.#scheduleRelayRetry();
+            return;
+        }
+        this.#socket = socket;
+        socket.onopen = () => {
+            this.#retryMs = RELAY_RETRY_MS;
+            this.#setRelayStatus('open');
+            socket.send(JSON.stringify({ type: 'join', room: this.#room, from: this.#id }));
+            this.#sendHello();
+        };
+        socket.onmessage = e => {
+            try {
+                this.#receive(JSON.parse(e.data));
+            } catch (err) {
+                console.error('Ignoring relay message:', err);
+            }
+        };
+        socket.onclose = () => {
+            if (this.#socket !== socket) {
+                return;
+            }
+            this.#socket = null;
+            this.#setRelayStatus('closed');
+            this.#scheduleRelayRetry();
+        };
+    }
+
+    #scheduleRelayRetry() {
+        if (this.#closed) {
+            return;
+        }
+        clearTimeout(this.#retryTimeout);
+        this.#retryTimeout = setTimeout(() => this.#openRelay(), this.#retryMs);
+        this.#retryMs = Math.min(RELAY_RETRY_MAX_MS, this.#retryMs * 2);
+    }
+}
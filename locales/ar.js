@@ -0,0 +1,324 @@
+// Arabic messages, keyed by message id. See the localization notes
+// in app.js. Written right to left; app.js sets dir="rtl" for it.
+export const messages = {
+    'app.title': 'التنفس المربع',
+    'language.label': 'اللغة',
+    'language.auto': 'لغة المتصفح',
+    'banner.offline': 'أنت غير متصل، لكن التطبيق سيعمل بشكل طبيعي',
+    'banner.update': 'يتوفر إصدار جديد',
+    'banner.reload': 'إعادة التحميل',
+    'pattern.box': 'مربع (4 × متساوية)',
+    'pattern.triangle': 'مثلث',
+    'pattern.4-7-8': '4-7-8 للاسترخاء',
+    'pattern.extended-exhale': 'زفير مطوّل 2:1',
+    'pattern.resonance': 'الرنين (5.5 ث)',
+    'pattern.physiological-sigh': 'التنهيدة الفسيولوجية',
+    'phase.inhale': 'شهيق',
+    'phase.hold': 'احبس',
+    'phase.exhale': 'زفير',
+    'phase.wait': 'انتظر',
+    'phase.inhaleMore': 'شهيق إضافي',
+    'phase.longExhale': 'زفير طويل',
+    'theme.auto': 'مطابقة النظام',
+    'theme.dark': 'داكن',
+    'theme.light': 'فاتح',
+    'theme.high-contrast': 'تباين عالٍ',
+    'theme.colorblind': 'آمن لعمى الألوان',
+    'cue.chime': 'جرس',
+    'cue.phase-pitch': 'نغمة لكل مرحلة',
+    'cue.sweep': 'انزلاق موجّه',
+    'cue.silent': 'صامت',
+    'verbosity.minimal': 'المراحل فقط',
+    'verbosity.standard': 'المراحل والتذكيرات',
+    'verbosity.detailed': 'المراحل والتذكيرات والعد التنازلي',
+    'visual.dots': 'نقاط الزوايا',
+    'visual.perimeter': 'تتبّع المربع',
+    'visual.circle': 'دائرة التنفس',
+    'visual.text': 'العد التنازلي',
+    'power.auto': 'تلقائي (توفير الطاقة عند انخفاض البطارية)',
+    'power.normal': 'معدل الإطارات الكامل',
+    'power.low': 'توفير الطاقة',
+    'plan.single': 'جلسة واحدة',
+    'plan.warmup-ramp': 'إحماء ثم تصاعد ثم تهدئة',
+    'plan.deepening': 'تعميق (20 دورة)',
+    'plan.custom': 'خطة مخصصة',
+    'segment.warmUp': 'إحماء',
+    'segment.mainSet': 'المجموعة الرئيسية',
+    'segment.coolDown': 'تهدئة',
+    'segment.settle': 'استقرار',
+    'segment.deepen': 'تعميق',
+    'segment.steady': 'ثابت',
+    'segment.default': 'مقطع',
+    'segment.numbered': 'المقطع {number}',
+    'segment.info': '{name} ({number}/{total}) · {remaining}',
+    'segment.timeLeft': 'متبقٍ {time}',
+    'segment.cyclesLeft': {
+        zero: 'لا دورات متبقية',
+        one: 'دورة واحدة متبقية',
+        two: 'دورتان متبقيتان',
+        few: '{count} دورات متبقية',
+        many: '{count} دورة متبقية',
+        other: '{count} دورة متبقية'
+    },
+    'preset.default': '{minutes} د',
+    'preset.fallback': 'إعداد مسبق',
+    'preset.new': 'إعدادي المسبق',
+    'preset.minutes': '{minutes} د',
+    'preset.noLimit': 'بلا حد',
+    'preset.phaseTime': '{seconds} ث',
+    'preset.soundOn': 'الصوت مفعّل',
+    'preset.soundOff': 'الصوت متوقف',
+    'session.started': 'بدأت الجلسة. {phase}',
+    'session.paused': 'متوقفة مؤقتًا',
+    'session.resumed': 'استُؤنفت. {phase}',
+    'session.ended': 'انتهت الجلسة',
+    'session.complete': 'اكتملت الجلسة',
+    'session.limitAnnounce': 'تم بلوغ الحد الزمني، جارٍ إنهاء الدورة الحالية',
+    'session.oneMinute': 'تبقّت دقيقة واحدة',
+    'session.segmentStarted': 'بدأ {name}',
+    'session.phaseTime': 'مدة المرحلة {seconds} ثانية',
+    'session.finishing': 'جارٍ إنهاء الدورة الحالية…',
+    'session.limitReached': 'تم بلوغ الحد الزمني',
+    'timer.change': 'تغيير عرض المؤقت',
+    'timer.elapsed': 'الوقت الكلي: {time}',
+    'timer.remainingTime': 'المتبقي: {time}',
+    'timer.remainingCycles': {
+        zero: 'المتبقي: لا دورات',
+        one: 'المتبقي: دورة واحدة',
+        two: 'المتبقي: دورتان',
+        few: 'المتبقي: {count} دورات',
+        many: 'المتبقي: {count} دورة',
+        other: 'المتبقي: {count} دورة'
+    },
+    'action.start': 'ابدأ',
+    'action.pause': 'إيقاف مؤقت',
+    'action.resume': 'استئناف',
+    'action.end': 'إنهاء',
+    'action.backToStart': 'العودة إلى البداية',
+    'action.pip': 'صورة داخل صورة',
+    'action.closePip': 'إغلاق صورة داخل صورة',
+    'pip.failed': 'ميزة صورة داخل صورة غير متاحة الآن.',
+    'action.back': 'رجوع',
+    'action.save': 'حفظ',
+    'action.cancel': 'إلغاء',
+    'action.presets': 'الإعدادات المسبقة',
+    'action.stats': 'الإحصاءات',
+    'action.reminders': 'التذكيرات',
+    'action.copyLink': 'نسخ الرابط',
+    'action.journal': 'اليوميات',
+    'action.group': 'مجموعة',
+    'action.skip': 'تخطٍّ',
+    'complete.title': 'اكتملت!',
+    'complete.cycles': {
+        zero: 'لا دورات',
+        one: 'دورة واحدة',
+        two: 'دورتان',
+        few: '{count} دورات',
+        many: '{count} دورة',
+        other: '{count} دورة'
+    },
+    'start.soundOn': 'الصوت مفعّل',
+    'start.soundOff': 'الصوت متوقف',
+    'start.cues': 'الإشارات',
+    'start.previewCues': 'معاينة الإشارات',
+    'start.volume': 'مستوى الصوت',
+    'start.holdTicks': 'نقرات أثناء الحبس',
+    'start.soundscape': 'أصوات الخلفية',
+    'ambient.white': 'ضوضاء بيضاء',
+    'ambient.pink': 'ضوضاء وردية',
+    'ambient.brown': 'ضوضاء بنية',
+    'ambient.ocean': 'أمواج المحيط',
+    'ambient.drone': 'طنين هادئ',
+    'start.voiceGuidance': 'الإرشاد الصوتي',
+    'start.voice': 'الصوت',
+    'start.defaultVoice': 'الصوت الافتراضي',
+    'start.voiceRate': 'السرعة',
+    'start.voiceVerbosity': 'النطق',
+    'start.vibration': 'الاهتزاز',
+    'start.hapticTicks': 'نقرات خفيفة أثناء الحبس',
+    'start.checkIn': 'تسجيل المزاج',
+    'start.plan': 'الخطة',
+    'start.editPlan': 'تعديل الخطة المخصصة',
+    'start.limitUnit': 'وحدة الحد',
+    'start.minutes': 'دقائق',
+    'start.cycles': 'دورات',
+    'start.limit': 'الحد (اختياري)',
+    'start.limitMinutes': 'الحد الزمني (دقائق)',
+    'start.limitCycles': 'عدد الدورات',
+    'start.pattern': 'النمط',
+    'start.visual': 'العرض',
+    'start.theme': 'المظهر',
+    'start.power': 'الطاقة',
+    'start.prompt': 'اضغط ابدأ للبدء',
+    'start.shortcuts': 'المسافة للبدء أو الإيقاف المؤقت · Esc للإنهاء',
+    'start.phaseTimeShortcut': 'مفاتيح الأسهم تغيّر مدة المرحلة',
+    'start.phaseTime': 'مدة المرحلة (ثوانٍ):',
+    'stats.exportJson': 'تصدير JSON',
+    'stats.exportCsv': 'تصدير CSV',
+    'stats.import': 'استيراد',
+    'stats.loading': 'جارٍ التحميل…',
+    'stats.unavailable': 'سجل الجلسات غير متاح في هذا المتصفح.',
+    'stats.totalMinutes': 'إجمالي الدقائق',
+    'stats.sessions': 'الجلسات',
+    'stats.today': 'اليوم',
+    'stats.week': 'آخر 7 أيام',
+    'stats.currentStreak': 'السلسلة الحالية',
+    'stats.longestStreak': 'أطول سلسلة',
+    'checkIn.before': 'كيف تشعر قبل أن تبدأ؟',
+    'checkIn.after': 'كيف تشعر الآن؟',
+    'checkIn.calm': 'متوتر 1 – 10 هادئ:',
+    'checkIn.tags': 'المزاج',
+    'checkIn.note': 'ملاحظة',
+    'checkIn.notePlaceholder': 'بضع كلمات إن شئت',
+    'checkIn.save': 'حفظ التسجيل',
+    'checkIn.saved': 'حُفظ التسجيل في يومياتك.',
+    'checkIn.failed': 'تعذّر حفظ التسجيل.',
+    'mood.calm': 'هادئ',
+    'mood.focused': 'مركّز',
+    'mood.content': 'راضٍ',
+    'mood.tired': 'متعب',
+    'mood.anxious': 'قلق',
+    'mood.stressed': 'متوتر',
+    'journal.empty': 'لا توجد تسجيلات بعد. فعّل تسجيل المزاج في شاشة البداية.',
+    'journal.groupBy': 'متوسط التغيّر حسب',
+    'journal.byPattern': 'النمط',
+    'journal.byDuration': 'المدة',
+    'journal.noChanges': 'تظهر المتوسطات عندما يحوي إدخال تسجيلًا قبل الجلسة وبعدها.',
+    'journal.pairs': {
+        zero: 'لا تسجيلات',
+        one: 'تسجيل واحد',
+        two: 'تسجيلان',
+        few: '{count} تسجيلات',
+        many: '{count} تسجيلًا',
+        other: '{count} تسجيل'
+    },
+    'journal.before': 'قبل: {calm}',
+    'journal.after': 'بعد: {calm}',
+    'journal.change': 'قبل {before} ← بعد {after} ({change})',
+    'journal.unknownSession': 'الجلسة غير موجودة في السجل',
+    'journal.edit': 'تعديل إدخال {date}',
+    'journal.delete': 'حذف إدخال {date}',
+    'journal.deleteFailed': 'تعذّر حذف الإدخال.',
+    'journal.duration.short': 'أقل من 5 د',
+    'journal.duration.medium': '5–10 د',
+    'journal.duration.long': '10–20 د',
+    'journal.duration.extended': '20 د أو أكثر',
+    'group.name': 'اسمك',
+    'group.defaultName': 'ضيف',
+    'group.room': 'رمز الغرفة',
+    'group.relay': 'خادم الترحيل',
+    'group.hint': 'تجد علامات التبويب في هذا المتصفح بعضها مباشرة. للتنفس مع أجهزة أخرى، يُدخل الجميع خادم الترحيل نفسه.',
+    'group.host': 'استضافة',
+    'group.join': 'انضمام',
+    'group.leave': 'مغادرة المجموعة',
+    'group.roomRequired': 'أدخل رمز غرفة القائد للانضمام.',
+    'group.relayInvalid': 'يجب أن يبدأ عنوان خادم الترحيل بـ ws:// أو wss://.',
+    'group.unsupported': 'لا يستطيع هذا المتصفح الوصول إلى علامات التبويب الأخرى. أدخل خادم ترحيل للاتصال عبر الشبكة.',
+    'group.leading': 'أنت تقود الغرفة {room}. الجميع يتنفس مع جلستك.',
+    'group.following': 'أنت تتبع الغرفة {room}. القائد يحدد التوقيت.',
+    'group.relay.connecting': 'جارٍ الاتصال بخادم الترحيل…',
+    'group.relay.open': 'متصل بخادم الترحيل.',
+    'group.relay.closed': 'خادم الترحيل غير متاح. جارٍ إعادة المحاولة…',
+    'group.you': '{name} (أنت)',
+    'group.youLeading': '{name} (أنت، القائد)',
+    'group.leaderName': '{name} (القائد)',
+    'group.status': 'الغرفة {room}: {peers}',
+    'group.waiting': 'في انتظار أن يبدأ القائد…',
+    'group.noLeader': 'في انتظار اتصال القائد…',
+    'group.joined': 'انضم {name} إلى المجموعة',
+    'group.left': 'غادر {name} المجموعة',
+    'group.leaderLeft': 'غادر القائد. ستستمر جلستك وحدها.',
+    'export.done': {
+        zero: 'لم تُصدَّر أي جلسة',
+        one: 'صُدِّرت جلسة واحدة',
+        two: 'صُدِّرت جلستان',
+        few: 'صُدِّرت {count} جلسات',
+        many: 'صُدِّرت {count} جلسة',
+        other: 'صُدِّرت {count} جلسة'
+    },
+    'import.failed': 'فشل الاستيراد: {reason}',
+    'import.invalidJson': 'الملف ليس JSON صالحًا.',
+    'import.unavailable': 'فشل الاستيراد: سجل الجلسات غير متاح في هذا المتصفح.',
+    'import.csvColumns': 'يحتاج ملف CSV إلى عمودي startedAt وduration على الأقل.',
+    'import.notBackup': 'هذا الملف ليس نسخة احتياطية من التنفس المربع.',
+    'import.newer': 'أُنشئت هذه النسخة الاحتياطية بإصدار أحدث من التطبيق.',
+    'import.sessions': {
+        zero: 'لم تُستورد أي جلسة',
+        one: 'استُوردت جلسة واحدة',
+        two: 'استُوردت جلستان',
+        few: 'استُوردت {count} جلسات',
+        many: 'استُوردت {count} جلسة',
+        other: 'استُوردت {count} جلسة'
+    },
+    'import.sessionsAndSettings': {
+        zero: 'استُوردت الإعدادات دون جلسات',
+        one: 'استُوردت جلسة واحدة والإعدادات',
+        two: 'استُوردت جلستان والإعدادات',
+        few: 'استُوردت {count} جلسات والإعدادات',
+        many: 'استُوردت {count} جلسة والإعدادات',
+        other: 'استُوردت {count} جلسة والإعدادات'
+    },
+    'import.duplicates': {
+        zero: 'لا مكررات',
+        one: 'واحدة موجودة مسبقًا',
+        two: 'اثنتان موجودتان مسبقًا',
+        few: '{count} موجودة مسبقًا',
+        many: '{count} موجودة مسبقًا',
+        other: '{count} موجودة مسبقًا'
+    },
+    'import.invalid': {
+        zero: 'لا شيء غير صالح',
+        one: 'واحدة غير صالحة',
+        two: 'اثنتان غير صالحتين',
+        few: '{count} غير صالحة',
+        many: '{count} غير صالحة',
+        other: '{count} غير صالحة'
+    },
+    'import.report': '{imported}.',
+    'import.reportSkipped': '{imported}؛ تم تخطي {skipped}.',
+    'link.invalid': 'بعض إعدادات الرابط غير صالحة وأُعيدت إلى الافتراضي: {names}',
+    'link.copied': 'نُسخ رابط هذا الإعداد',
+    'link.copy': 'انسخ هذا الرابط: {link}',
+    'reminder.title': 'حان وقت التنفس',
+    'reminder.body': 'خذ بضع دقائق للتنفس المربع.',
+    'reminder.bodyPreset': 'جلسة {name} جاهزة.',
+    'reminder.blocked': 'الإشعارات محظورة، لذا لا يمكن عرض التذكيرات. اسمح بها في إعدادات المتصفح.',
+    'reminders.unsupported': 'لا يستطيع هذا المتصفح عرض الإشعارات، لذا لن تظهر التذكيرات.',
+    'reminders.denied': 'الإشعارات محظورة لهذا التطبيق. اسمح بها في إعدادات المتصفح لتصلك التذكيرات.',
+    'reminders.openOnly': 'تظهر التذكيرات فقط أثناء فتح التطبيق في هذا المتصفح.',
+    'reminders.time': 'وقت التذكير {number}',
+    'reminders.days': 'أيام التذكير {number}',
+    'reminders.delete': 'حذف التذكير {number}',
+    'reminders.empty': 'لا توجد تذكيرات بعد.',
+    'reminders.add': 'إضافة تذكير',
+    'connection.offline': 'أنت غير متصل. يستمر التطبيق في العمل.',
+    'connection.online': 'عاد الاتصال',
+    'canvas.label': 'دليل التنفس {pattern}، {description}',
+    'canvas.complete': 'اكتملت الجلسة',
+    'canvas.paused': 'متوقف مؤقتًا أثناء {phase}',
+    'canvas.current': 'المرحلة الحالية {phase}',
+    'presets.add': 'إضافة إعداد مسبق',
+    'presets.empty': 'لا توجد إعدادات مسبقة بعد.',
+    'presets.moveUp': 'نقل {name} إلى الأعلى',
+    'presets.moveDown': 'نقل {name} إلى الأسفل',
+    'presets.edit': 'تعديل {name}',
+    'presets.delete': 'حذف {name}',
+    'presetForm.name': 'الاسم',
+    'presetForm.minutes': 'الدقائق',
+    'presetForm.phaseTime': 'مدة المرحلة (ث)',
+    'presetForm.sound': 'الصوت',
+    'presetForm.keep': 'الإبقاء على الحالي',
+    'presetForm.on': 'مفعّل',
+    'presetForm.off': 'متوقف',
+    'planForm.addSegment': 'إضافة مقطع',
+    'planForm.name': 'اسم المقطع {number}',
+    'planForm.remove': 'حذف المقطع {number}',
+    'planForm.length': 'طول المقطع {number}',
+    'planForm.unit': 'وحدة طول المقطع {number}',
+    'planForm.minutes': 'دقائق',
+    'planForm.cycles': 'دورات',
+    'planForm.phaseTime': 'مدة مرحلة المقطع {number} بالثواني',
+    'planForm.endPhaseTime': 'يتدرّج المقطع {number} إلى مدة مرحلة بالثواني',
+    'planForm.steady': 'ثابت',
+    'planForm.seconds': 'ث'
+};
@@ -0,0 +1,264 @@
+// German messages, keyed by message id. See the localization notes
+// in app.js.
+export const messages = {
+    'app.title': 'Box-Atmung',
+    'language.label': 'Sprache',
+    'language.auto': 'Browsersprache',
+    'banner.offline': 'Du bist offline, aber die App funktioniert normal',
+    'banner.update': 'Neue Version verfügbar',
+    'banner.reload': 'Neu laden',
+    'pattern.box': 'Box (4 × gleich)',
+    'pattern.triangle': 'Dreieck',
+    'pattern.4-7-8': '4-7-8 Entspannung',
+    'pattern.extended-exhale': '2:1 Verlängertes Ausatmen',
+    'pattern.resonance': 'Resonanz (5,5 s)',
+    'pattern.physiological-sigh': 'Physiologischer Seufzer',
+    'phase.inhale': 'Einatmen',
+    'phase.hold': 'Halten',
+    'phase.exhale': 'Ausatmen',
+    'phase.wait': 'Warten',
+    'phase.inhaleMore': 'Weiter einatmen',
+    'phase.longExhale': 'Lang ausatmen',
+    'theme.auto': 'Wie im System',
+    'theme.dark': 'Dunkel',
+    'theme.light': 'Hell',
+    'theme.high-contrast': 'Hoher Kontrast',
+    'theme.colorblind': 'Farbenblind-freundlich',
+    'cue.chime': 'Glocke',
+    'cue.phase-pitch': 'Tonhöhe je Phase',
+    'cue.sweep': 'Geführter Klangbogen',
+    'cue.silent': 'Stumm',
+    'verbosity.minimal': 'Nur Phasen',
+    'verbosity.standard': 'Phasen und Hinweise',
+    'verbosity.detailed': 'Phasen, Hinweise und Countdown',
+    'visual.dots': 'Eckpunkte',
+    'visual.perimeter': 'Umriss-Spur',
+    'visual.circle': 'Atemkreis',
+    'visual.text': 'Countdown',
+    'power.auto': 'Automatisch (Stromsparen bei niedrigem Akku)',
+    'power.normal': 'Volle Bildrate',
+    'power.low': 'Stromsparen',
+    'plan.single': 'Einzelne Sitzung',
+    'plan.warmup-ramp': 'Aufwärmen, Steigern, Ausklingen',
+    'plan.deepening': 'Vertiefen (20 Zyklen)',
+    'plan.custom': 'Eigener Plan',
+    'segment.warmUp': 'Aufwärmen',
+    'segment.mainSet': 'Hauptteil',
+    'segment.coolDown': 'Ausklingen',
+    'segment.settle': 'Ankommen',
+    'segment.deepen': 'Vertiefen',
+    'segment.steady': 'Gleichmäßig',
+    'segment.default': 'Abschnitt',
+    'segment.numbered': 'Abschnitt {number}',
+    'segment.info': '{name} ({number}/{total}) · {remaining}',
+    'segment.timeLeft': 'noch {time}',
+    'segment.cyclesLeft': { one: 'noch {count} Zyklus', other: 'noch {count} Zyklen' },
+    'preset.default': '{minutes} Min.',
+    'preset.fallback': 'Vorlage',
+    'preset.new': 'Meine Vorlage',
+    'preset.minutes': '{minutes} Min.',
+    'preset.noLimit': 'Ohne Limit',
+    'preset.phaseTime': '{seconds} s',
+    'preset.soundOn': 'Ton an',
+    'preset.soundOff': 'Ton aus',
+    'session.started': 'Sitzung gestartet. {phase}',
+    'session.paused': 'Pausiert',
+    'session.resumed': 'Fortgesetzt. {phase}',
+    'session.ended': 'Sitzung beendet',
+    'session.complete': 'Sitzung abgeschlossen',
+    'session.limitAnnounce': 'Zeitlimit erreicht, der aktuelle Zyklus wird beendet',
+    'session.oneMinute': 'Noch eine Minute',
+    'session.segmentStarted': '{name} beginnt',
+    'session.phaseTime': 'Phasendauer {seconds} Sekunden',
+    'session.finishing': 'Aktueller Zyklus wird beendet…',
+    'session.limitReached': 'Zeitlimit erreicht',
+    'timer.change': 'Timeranzeige wechseln',
+    'timer.elapsed': 'Gesamtzeit: {time}',
+    'timer.remainingTime': 'Verbleibend: {time}',
+    'timer.remainingCycles': { one: 'Verbleibend: {count} Zyklus', other: 'Verbleibend: {count} Zyklen' },
+    'action.start': 'Start',
+    'action.pause': 'Pause',
+    'action.resume': 'Fortsetzen',
+    'action.end': 'Beenden',
+    'action.backToStart': 'Zurück zum Start',
+    'action.pip': 'Bild im Bild',
+    'action.closePip': 'Bild im Bild schließen',
+    'pip.failed': 'Bild im Bild ist gerade nicht verfügbar.',
+    'action.back': 'Zurück',
+    'action.save': 'Speichern',
+    'action.cancel': 'Abbrechen',
+    'action.presets': 'Vorlagen',
+    'action.stats': 'Statistik',
+    'action.reminders': 'Erinnerungen',
+    'action.copyLink': 'Link kopieren',
+    'action.journal': 'Tagebuch',
+    'action.group': 'Gruppe',
+    'action.skip': 'Überspringen',
+    'complete.title': 'Geschafft!',
+    'complete.cycles': { one: '{count} Zyklus', other: '{count} Zyklen' },
+    'start.soundOn': 'Ton an',
+    'start.soundOff': 'Ton aus',
+    'start.cues': 'Signale',
+    'start.previewCues': 'Signale anhören',
+    'start.volume': 'Lautstärke',
+    'start.holdTicks': 'Ticken beim Halten',
+    'start.soundscape': 'Hintergrundklang',
+    'ambient.white': 'Weißes Rauschen',
+    'ambient.pink': 'Rosa Rauschen',
+    'ambient.brown': 'Braunes Rauschen',
+    'ambient.ocean': 'Meereswellen',
+    'ambient.drone': 'Sanfter Klangteppich',
+    'start.voiceGuidance': 'Sprachführung',
+    'start.voice': 'Stimme',
+    'start.defaultVoice': 'Standardstimme',
+    'start.voiceRate': 'Tempo',
+    'start.voiceVerbosity': 'Ansagen',
+    'start.vibration': 'Vibration',
+    'start.hapticTicks': 'Sanftes Ticken beim Halten',
+    'start.checkIn': 'Stimmungs-Check-in',
+    'start.plan': 'Plan',
+    'start.editPlan': 'Eigenen Plan bearbeiten',
+    'start.limitUnit': 'Einheit des Limits',
+    'start.minutes': 'Minuten',
+    'start.cycles': 'Zyklen',
+    'start.limit': 'Limit (optional)',
+    'start.limitMinutes': 'Zeitlimit (Minuten)',
+    'start.limitCycles': 'Anzahl der Zyklen',
+    'start.pattern': 'Muster',
+    'start.visual': 'Darstellung',
+    'start.theme': 'Design',
+    'start.power': 'Energie',
+    'start.prompt': 'Zum Beginnen auf Start tippen',
+    'start.shortcuts': 'Leertaste: Start oder Pause · Esc: Beenden',
+    'start.phaseTimeShortcut': 'Pfeiltasten ändern die Phasendauer',
+    'start.phaseTime': 'Phasendauer (Sekunden):',
+    'stats.exportJson': 'JSON exportieren',
+    'stats.exportCsv': 'CSV exportieren',
+    'stats.import': 'Importieren',
+    'stats.loading': 'Wird geladen…',
+    'stats.unavailable': 'Der Sitzungsverlauf ist in diesem Browser nicht verfügbar.',
+    'stats.totalMinutes': 'Minuten gesamt',
+    'stats.sessions': 'Sitzungen',
+    'stats.today': 'Heute',
+    'stats.week': 'Letzte 7 Tage',
+    'stats.currentStreak': 'Aktuelle Serie',
+    'stats.longestStreak': 'Längste Serie',
+    'checkIn.before': 'Wie fühlst du dich vor dem Start?',
+    'checkIn.after': 'Wie fühlst du dich jetzt?',
+    'checkIn.calm': 'Gestresst 1 – 10 ruhig:',
+    'checkIn.tags': 'Stimmung',
+    'checkIn.note': 'Notiz',
+    'checkIn.notePlaceholder': 'Ein paar Worte, wenn du magst',
+    'checkIn.save': 'Check-in speichern',
+    'checkIn.saved': 'Check-in im Tagebuch gespeichert.',
+    'checkIn.failed': 'Der Check-in konnte nicht gespeichert werden.',
+    'mood.calm': 'Ruhig',
+    'mood.focused': 'Konzentriert',
+    'mood.content': 'Zufrieden',
+    'mood.tired': 'Müde',
+    'mood.anxious': 'Ängstlich',
+    'mood.stressed': 'Gestresst',
+    'journal.empty': 'Noch keine Check-ins. Schalte den Stimmungs-Check-in auf dem Startbildschirm ein.',
+    'journal.groupBy': 'Durchschnittliche Veränderung nach',
+    'journal.byPattern': 'Muster',
+    'journal.byDuration': 'Dauer',
+    'journal.noChanges': 'Durchschnitte erscheinen, sobald ein Eintrag Check-ins vor und nach einer Sitzung hat.',
+    'journal.pairs': { one: '{count} Check-in', other: '{count} Check-ins' },
+    'journal.before': 'Vorher: {calm}',
+    'journal.after': 'Nachher: {calm}',
+    'journal.change': 'Vorher {before} → nachher {after} ({change})',
+    'journal.unknownSession': 'Sitzung nicht im Verlauf',
+    'journal.edit': 'Eintrag vom {date} bearbeiten',
+    'journal.delete': 'Eintrag vom {date} löschen',
+    'journal.deleteFailed': 'Der Eintrag konnte nicht gelöscht werden.',
+    'journal.duration.short': 'Unter 5 Min.',
+    'journal.duration.medium': '5–10 Min.',
+    'journal.duration.long': '10–20 Min.',
+    'journal.duration.extended': '20 Min. oder mehr',
+    'group.name': 'Dein Name',
+    'group.defaultName': 'Gast',
+    'group.room': 'Raumcode',
+    'group.relay': 'Relay-Server',
+    'group.hint': 'Tabs in diesem Browser finden sich direkt. Um mit anderen Geräten zu atmen, geben alle denselben Relay-Server ein.',
+    'group.host': 'Leiten',
+    'group.join': 'Beitreten',
+    'group.leave': 'Gruppe verlassen',
+    'group.roomRequired': 'Gib zum Beitreten den Raumcode der leitenden Person ein.',
+    'group.relayInvalid': 'Die Adresse des Relay-Servers muss mit ws:// oder wss:// beginnen.',
+    'group.unsupported': 'Dieser Browser erreicht keine anderen Tabs. Gib einen Relay-Server ein, um dich über das Netzwerk zu verbinden.',
+    'group.leading': 'Du leitest Raum {room}. Alle atmen nach deiner Sitzung.',
+    'group.following': 'Du folgst Raum {room}. Die leitende Person bestimmt das Tempo.',
+    'group.relay.connecting': 'Verbindung zum Relay-Server wird hergestellt…',
+    'group.relay.open': 'Mit dem Relay-Server verbunden.',
+    'group.relay.closed': 'Relay-Server nicht erreichbar. Neuer Versuch…',
+    'group.you': '{name} (du)',
+    'group.youLeading': '{name} (du, leitend)',
+    'group.leaderName': '{name} (leitend)',
+    'group.status': 'Raum {room}: {peers}',
+    'group.waiting': 'Warten, bis die leitende Person startet…',
+    'group.noLeader': 'Warten auf die leitende Person…',
+    'group.joined': '{name} ist der Gruppe beigetreten',
+    'group.left': '{name} hat die Gruppe verlassen',
+    'group.leaderLeft': 'Die leitende Person ist gegangen. Deine Sitzung läuft allein weiter.',
+    'export.done': { one: '{count} Sitzung exportiert', other: '{count} Sitzungen exportiert' },
+    'import.failed': 'Import fehlgeschlagen: {reason}',
+    'import.invalidJson': 'Die Datei ist kein gültiges JSON.',
+    'import.unavailable': 'Import fehlgeschlagen: Der Sitzungsverlauf ist in diesem Browser nicht verfügbar.',
+    'import.csvColumns': 'Die CSV-Datei braucht mindestens die Spalten startedAt und duration.',
+    'import.notBackup': 'Diese Datei ist keine Box-Breathing-Sicherung.',
+    'import.newer': 'Diese Sicherung stammt aus einer neueren Version der App.',
+    'import.sessions': { one: '{count} Sitzung importiert', other: '{count} Sitzungen importiert' },
+    'import.sessionsAndSettings': {
+        one: '{count} Sitzung und Einstellungen importiert',
+        other: '{count} Sitzungen und Einstellungen importiert'
+    },
+    'import.duplicates': { one: '{count} bereits vorhanden', other: '{count} bereits vorhanden' },
+    'import.invalid': { one: '{count} ungültig', other: '{count} ungültig' },
+    'import.report': '{imported}.',
+    'import.reportSkipped': '{imported}; übersprungen: {skipped}.',
+    'link.invalid': 'Einige Link-Einstellungen waren ungültig und wurden zurückgesetzt: {names}',
+    'link.copied': 'Link zu dieser Einstellung kopiert',
+    'link.copy': 'Diesen Link kopieren: {link}',
+    'reminder.title': 'Zeit zum Atmen',
+    'reminder.body': 'Nimm dir ein paar Minuten für die Box-Atmung.',
+    'reminder.bodyPreset': 'Deine Sitzung „{name}“ ist bereit.',
+    'reminder.blocked': 'Benachrichtigungen sind blockiert, daher können keine Erinnerungen angezeigt werden. Erlaube sie in den Browsereinstellungen.',
+    'reminders.unsupported': 'Dieser Browser kann keine Benachrichtigungen anzeigen, daher erscheinen keine Erinnerungen.',
+    'reminders.denied': 'Benachrichtigungen sind für diese App blockiert. Erlaube sie in den Browsereinstellungen, um Erinnerungen zu erhalten.',
+    'reminders.openOnly': 'Erinnerungen erscheinen nur, solange die App in diesem Browser geöffnet ist.',
+    'reminders.time': 'Uhrzeit von Erinnerung {number}',
+    'reminders.days': 'Tage von Erinnerung {number}',
+    'reminders.delete': 'Erinnerung {number} löschen',
+    'reminders.empty': 'Noch keine Erinnerungen.',
+    'reminders.add': 'Erinnerung hinzufügen',
+    'connection.offline': 'Du bist offline. Die App funktioniert weiter.',
+    'connection.online': 'Wieder online',
+    'canvas.label': 'Atemführung {pattern}, {description}',
+    'canvas.complete': 'Sitzung abgeschlossen',
+    'canvas.paused': 'pausiert bei {phase}',
+    'canvas.current': 'aktuelle Phase {phase}',
+    'presets.add': 'Vorlage hinzufügen',
+    'presets.empty': 'Noch keine Vorlagen.',
+    'presets.moveUp': '{name} nach oben',
+    'presets.moveDown': '{name} nach unten',
+    'presets.edit': '{name} bearbeiten',
+    'presets.delete': '{name} löschen',
+    'presetForm.name': 'Name',
+    'presetForm.minutes': 'Minuten',
+    'presetForm.phaseTime': 'Phasendauer (s)',
+    'presetForm.sound': 'Ton',
+    'presetForm.keep': 'Wie aktuell',
+    'presetForm.on': 'An',
+    'presetForm.off': 'Aus',
+    'planForm.addSegment': 'Abschnitt hinzufügen',
+    'planForm.name': 'Name von Abschnitt {number}',
+    'planForm.remove': 'Abschnitt {number} entfernen',
+    'planForm.length': 'Länge von Abschnitt {number}',
+    'planForm.unit': 'Längeneinheit von Abschnitt {number}',
+    'planForm.minutes': 'Minuten',
+    'planForm.cycles': 'Zyklen',
+    'planForm.phaseTime': 'Phasendauer von Abschnitt {number} in Sekunden',
+    'planForm.endPhaseTime': 'Phasendauer am Ende von Abschnitt {number} in Sekunden',
+    'planForm.steady': 'Gleich',
+    'planForm.seconds': 's'
+};
@@ -0,0 +1,264 @@
+// English messages, keyed by message id. Every other catalog falls back
+// to these for anything it lacks; see the localization notes in app.js.
+export const messages = {
+    'app.title': 'Box Breathing',
+    'language.label': 'Language',
+    'language.auto': 'Browser language',
+    'banner.offline': 'You are offline, but the app will work normally',
+    'banner.update': 'New version available',
+    'banner.reload': 'Reload',
+    'pattern.box': 'Box (4 × equal)',
+    'pattern.triangle': 'Triangle',
+    'pattern.4-7-8': '4-7-8 Relaxing',
+    'pattern.extended-exhale': '2:1 Extended Exhale',
+    'pattern.resonance': 'Resonance (5.5 s)',
+    'pattern.physiological-sigh': 'Physiological Sigh',
+    'phase.inhale': 'Inhale',
+    'phase.hold': 'Hold',
+    'phase.exhale': 'Exhale',
+    'phase.wait': 'Wait',
+    'phase.inhaleMore': 'Inhale More',
+    'phase.longExhale': 'Long Exhale',
+    'theme.auto': 'Match system',
+    'theme.dark': 'Dark',
+    'theme.light': 'Light',
+    'theme.high-contrast': 'High contrast',
+    'theme.colorblind': 'Colour-blind safe',
+    'cue.chime': 'Chime',
+    'cue.phase-pitch': 'Pitch per phase',
+    'cue.sweep': 'Guided sweep',
+    'cue.silent': 'Silent',
+    'verbosity.minimal': 'Phases only',
+    'verbosity.standard': 'Phases and reminders',
+    'verbosity.detailed': 'Phases, reminders and countdown',
+    'visual.dots': 'Corner dots',
+    'visual.perimeter': 'Box tracer',
+    'visual.circle': 'Breathing circle',
+    'visual.text': 'Countdown',
+    'power.auto': 'Auto (low power on low battery)',
+    'power.normal': 'Full frame rate',
+    'power.low': 'Low power',
+    'plan.single': 'Single session',
+    'plan.warmup-ramp': 'Warm-up, ramp, cool-down',
+    'plan.deepening': 'Deepening (20 cycles)',
+    'plan.custom': 'Custom plan',
+    'segment.warmUp': 'Warm-up',
+    'segment.mainSet': 'Main set',
+    'segment.coolDown': 'Cool-down',
+    'segment.settle': 'Settle',
+    'segment.deepen': 'Deepen',
+    'segment.steady': 'Steady',
+    'segment.default': 'Segment',
+    'segment.numbered': 'Segment {number}',
+    'segment.info': '{name} ({number}/{total}) · {remaining}',
+    'segment.timeLeft': '{time} left',
+    'segment.cyclesLeft': { one: '{count} cycle left', other: '{count} cycles left' },
+    'preset.default': '{minutes} min',
+    'preset.fallback': 'Preset',
+    'preset.new': 'My preset',
+    'preset.minutes': '{minutes} min',
+    'preset.noLimit': 'No limit',
+    'preset.phaseTime': '{seconds} s',
+    'preset.soundOn': 'Sound on',
+    'preset.soundOff': 'Sound off',
+    'session.started': 'Session started. {phase}',
+    'session.paused': 'Paused',
+    'session.resumed': 'Resumed. {phase}',
+    'session.ended': 'Session ended',
+    'session.complete': 'Session complete',
+    'session.limitAnnounce': 'Time limit reached, finishing current cycle',
+    'session.oneMinute': 'One minute left',
+    'session.segmentStarted': '{name} started',
+    'session.phaseTime': 'Phase time {seconds} seconds',
+    'session.finishing': 'Finishing current cycle…',
+    'session.limitReached': 'Time limit reached',
+    'timer.change': 'Change timer display',
+    'timer.elapsed': 'Total Time: {time}',
+    'timer.remainingTime': 'Remaining: {time}',
+    'timer.remainingCycles': { one: 'Remaining: {count} cycle', other: 'Remaining: {count} cycles' },
+    'action.start': 'Start',
+    'action.pause': 'Pause',
+    'action.resume': 'Resume',
+    'action.end': 'End',
+    'action.backToStart': 'Back to Start',
+    'action.pip': 'Picture-in-Picture',
+    'action.closePip': 'Close Picture-in-Picture',
+    'pip.failed': 'Picture-in-Picture is not available right now.',
+    'action.back': 'Back',
+    'action.save': 'Save',
+    'action.cancel': 'Cancel',
+    'action.presets': 'Presets',
+    'action.stats': 'Stats',
+    'action.reminders': 'Reminders',
+    'action.copyLink': 'Copy link',
+    'action.journal': 'Journal',
+    'action.group': 'Group',
+    'action.skip': 'Skip',
+    'complete.title': 'Complete!',
+    'complete.cycles': { one: '{count} cycle', other: '{count} cycles' },
+    'start.soundOn': 'Sound On',
+    'start.soundOff': 'Sound Off',
+    'start.cues': 'Cues',
+    'start.previewCues': 'Preview cues',
+    'start.volume': 'Volume',
+    'start.holdTicks': 'Tick during holds',
+    'start.soundscape': 'Background soundscape',
+    'ambient.white': 'White noise',
+    'ambient.pink': 'Pink noise',
+    'ambient.brown': 'Brown noise',
+    'ambient.ocean': 'Ocean waves',
+    'ambient.drone': 'Soft drone',
+    'start.voiceGuidance': 'Voice guidance',
+    'start.voice': 'Voice',
+    'start.defaultVoice': 'Default voice',
+    'start.voiceRate': 'Rate',
+    'start.voiceVerbosity': 'Speak',
+    'start.vibration': 'Vibration',
+    'start.hapticTicks': 'Gentle ticks during holds',
+    'start.checkIn': 'Mood check-in',
+    'start.plan': 'Plan',
+    'start.editPlan': 'Edit custom plan',
+    'start.limitUnit': 'Limit unit',
+    'start.minutes': 'Minutes',
+    'start.cycles': 'Cycles',
+    'start.limit': 'Limit (optional)',
+    'start.limitMinutes': 'Time limit (minutes)',
+    'start.limitCycles': 'Number of cycles',
+    'start.pattern': 'Pattern',
+    'start.visual': 'Visual',
+    'start.theme': 'Theme',
+    'start.power': 'Power',
+    'start.prompt': 'Press start to begin',
+    'start.shortcuts': 'Space to start or pause · Esc to end',
+    'start.phaseTimeShortcut': 'Arrow keys change phase time',
+    'start.phaseTime': 'Phase Time (seconds):',
+    'stats.exportJson': 'Export JSON',
+    'stats.exportCsv': 'Export CSV',
+    'stats.import': 'Import',
+    'stats.loading': 'Loading…',
+    'stats.unavailable': 'Session history is not available in this browser.',
+    'stats.totalMinutes': 'Total minutes',
+    'stats.sessions': 'Sessions',
+    'stats.today': 'Today',
+    'stats.week': 'Last 7 days',
+    'stats.currentStreak': 'Current streak',
+    'stats.longestStreak': 'Longest streak',
+    'checkIn.before': 'How do you feel before you start?',
+    'checkIn.after': 'How do you feel now?',
+    'checkIn.calm': 'Stressed 1 – 10 calm:',
+    'checkIn.tags': 'Mood',
+    'checkIn.note': 'Note',
+    'checkIn.notePlaceholder': 'A few words, if you like',
+    'checkIn.save': 'Save check-in',
+    'checkIn.saved': 'Check-in saved to your journal.',
+    'checkIn.failed': 'The check-in could not be saved.',
+    'mood.calm': 'Calm',
+    'mood.focused': 'Focused',
+    'mood.content': 'Content',
+    'mood.tired': 'Tired',
+    'mood.anxious': 'Anxious',
+    'mood.stressed': 'Stressed',
+    'journal.empty': 'No check-ins yet. Turn on the mood check-in on the start screen.',
+    'journal.groupBy': 'Average change by',
+    'journal.byPattern': 'Pattern',
+    'journal.byDuration': 'Duration',
+    'journal.noChanges': 'Averages appear once an entry has check-ins from before and after a session.',
+    'journal.pairs': { one: '{count} check-in', other: '{count} check-ins' },
+    'journal.before': 'Before: {calm}',
+    'journal.after': 'After: {calm}',
+    'journal.change': 'Before {before} → after {after} ({change})',
+    'journal.unknownSession': 'Session not in history',
+    'journal.edit': 'Edit entry from {date}',
+    'journal.delete': 'Delete entry from {date}',
+    'journal.deleteFailed': 'The entry could not be deleted.',
+    'journal.duration.short': 'Under 5 min',
+    'journal.duration.medium': '5–10 min',
+    'journal.duration.long': '10–20 min',
+    'journal.duration.extended': '20 min or more',
+    'group.name': 'Your name',
+    'group.defaultName': 'Guest',
+    'group.room': 'Room code',
+    'group.relay': 'Relay server',
+    'group.hint': 'Tabs in this browser find each other directly. To breathe with other devices, everyone enters the same relay server.',
+    'group.host': 'Host',
+    'group.join': 'Join',
+    'group.leave': 'Leave group',
+    'group.roomRequired': 'Enter the leader\'s room code to join.',
+    'group.relayInvalid': 'The relay server address must start with ws:// or wss://.',
+    'group.unsupported': 'This browser can\'t reach other tabs. Enter a relay server to connect over the network.',
+    'group.leading': 'You lead room {room}. Everyone breathes to your session.',
+    'group.following': 'You follow room {room}. The leader sets the timing.',
+    'group.relay.connecting': 'Connecting to the relay server…',
+    'group.relay.open': 'Connected to the relay server.',
+    'group.relay.closed': 'Relay server unavailable. Trying again…',
+    'group.you': '{name} (you)',
+    'group.youLeading': '{name} (you, leader)',
+    'group.leaderName': '{name} (leader)',
+    'group.status': 'Room {room}: {peers}',
+    'group.waiting': 'Waiting for the leader to start…',
+    'group.noLeader': 'Waiting for the leader to connect…',
+    'group.joined': '{name} joined the group',
+    'group.left': '{name} left the group',
+    'group.leaderLeft': 'The leader left. Your session carries on by itself.',
+    'export.done': { one: 'Exported {count} session', other: 'Exported {count} sessions' },
+    'import.failed': 'Import failed: {reason}',
+    'import.invalidJson': 'the file is not valid JSON.',
+    'import.unavailable': 'Import failed: session history is not available in this browser.',
+    'import.csvColumns': 'The CSV file needs at least startedAt and duration columns.',
+    'import.notBackup': 'This file is not a Box Breathing backup.',
+    'import.newer': 'This backup was made by a newer version of the app.',
+    'import.sessions': { one: 'Imported {count} session', other: 'Imported {count} sessions' },
+    'import.sessionsAndSettings': {
+        one: 'Imported {count} session and settings',
+        other: 'Imported {count} sessions and settings'
+    },
+    'import.duplicates': { one: '{count} already present', other: '{count} already present' },
+    'import.invalid': { one: '{count} invalid', other: '{count} invalid' },
+    'import.report': '{imported}.',
+    'import.reportSkipped': '{imported}; skipped {skipped}.',
+    'link.invalid': 'Some link settings were invalid and reset to defaults: {names}',
+    'link.copied': 'Link to this setup copied',
+    'link.copy': 'Copy this link: {link}',
+    'reminder.title': 'Time to breathe',
+    'reminder.body': 'Take a few minutes for box breathing.',
+    'reminder.bodyPreset': 'Your {name} session is ready.',
+    'reminder.blocked': 'Notifications are blocked, so reminders can\'t be shown. Allow them in your browser settings.',
+    'reminders.unsupported': 'This browser can\'t show notifications, so reminders won\'t appear.',
+    'reminders.denied': 'Notifications are blocked for this app. Allow them in your browser settings to get reminders.',
+    'reminders.openOnly': 'Reminders only appear while the app is open in this browser.',
+    'reminders.time': 'Reminder {number} time',
+    'reminders.days': 'Reminder {number} days',
+    'reminders.delete': 'Delete reminder {number}',
+    'reminders.empty': 'No reminders yet.',
+    'reminders.add': 'Add reminder',
+    'connection.offline': 'You are offline. The app keeps working.',
+    'connection.online': 'Back online',
+    'canvas.label': '{pattern} breathing guide, {description}',
+    'canvas.complete': 'session complete',
+    'canvas.paused': 'paused during {phase}',
+    'canvas.current': 'current phase {phase}',
+    'presets.add': 'Add preset',
+    'presets.empty': 'No presets yet.',
+    'presets.moveUp': 'Move {name} up',
+    'presets.moveDown': 'Move {name} down',
+    'presets.edit': 'Edit {name}',
+    'presets.delete': 'Delete {name}',
+    'presetForm.name': 'Name',
+    'presetForm.minutes': 'Minutes',
+    'presetForm.phaseTime': 'Phase time (s)',
+    'presetForm.sound': 'Sound',
+    'presetForm.keep': 'Keep current',
+    'presetForm.on': 'On',
+    'presetForm.off': 'Off',
+    'planForm.addSegment': 'Add segment',
+    'planForm.name': 'Segment {number} name',
+    'planForm.remove': 'Remove segment {number}',
+    'planForm.length': 'Segment {number} length',
+    'planForm.unit': 'Segment {number} length unit',
+    'planForm.minutes': 'minutes',
+    'planForm.cycles': 'cycles',
+    'planForm.phaseTime': 'Segment {number} phase time in seconds',
+    'planForm.endPhaseTime': 'Segment {number} ramps to phase time in seconds',
+    'planForm.steady': 'Steady',
+    'planForm.seconds': 's'
+};
@@ -0,0 +1,264 @@
+// Spanish messages, keyed by message id. See the localization notes
+// in app.js.
+export const messages = {
+    'app.title': 'Respiración cuadrada',
+    'language.label': 'Idioma',
+    'language.auto': 'Idioma del navegador',
+    'banner.offline': 'Estás sin conexión, pero la app funcionará con normalidad',
+    'banner.update': 'Nueva versión disponible',
+    'banner.reload': 'Recargar',
+    'pattern.box': 'Cuadrada (4 × iguales)',
+    'pattern.triangle': 'Triángulo',
+    'pattern.4-7-8': '4-7-8 Relajante',
+    'pattern.extended-exhale': '2:1 Exhalación prolongada',
+    'pattern.resonance': 'Resonancia (5,5 s)',
+    'pattern.physiological-sigh': 'Suspiro fisiológico',
+    'phase.inhale': 'Inhala',
+    'phase.hold': 'Mantén',
+    'phase.exhale': 'Exhala',
+    'phase.wait': 'Espera',
+    'phase.inhaleMore': 'Inhala más',
+    'phase.longExhale': 'Exhala despacio',
+    'theme.auto': 'Según el sistema',
+    'theme.dark': 'Oscuro',
+    'theme.light': 'Claro',
+    'theme.high-contrast': 'Alto contraste',
+    'theme.colorblind': 'Apto para daltonismo',
+    'cue.chime': 'Campana',
+    'cue.phase-pitch': 'Tono por fase',
+    'cue.sweep': 'Barrido guiado',
+    'cue.silent': 'Silencio',
+    'verbosity.minimal': 'Solo fases',
+    'verbosity.standard': 'Fases y avisos',
+    'verbosity.detailed': 'Fases, avisos y cuenta atrás',
+    'visual.dots': 'Puntos en las esquinas',
+    'visual.perimeter': 'Trazo del cuadrado',
+    'visual.circle': 'Círculo de respiración',
+    'visual.text': 'Cuenta atrás',
+    'power.auto': 'Automático (ahorro con batería baja)',
+    'power.normal': 'Máxima fluidez',
+    'power.low': 'Ahorro de energía',
+    'plan.single': 'Sesión única',
+    'plan.warmup-ramp': 'Calentamiento, progresión, relajación',
+    'plan.deepening': 'Profundización (20 ciclos)',
+    'plan.custom': 'Plan personalizado',
+    'segment.warmUp': 'Calentamiento',
+    'segment.mainSet': 'Bloque principal',
+    'segment.coolDown': 'Relajación',
+    'segment.settle': 'Asentarse',
+    'segment.deepen': 'Profundizar',
+    'segment.steady': 'Estable',
+    'segment.default': 'Tramo',
+    'segment.numbered': 'Tramo {number}',
+    'segment.info': '{name} ({number}/{total}) · {remaining}',
+    'segment.timeLeft': 'quedan {time}',
+    'segment.cyclesLeft': { one: 'queda {count} ciclo', other: 'quedan {count} ciclos' },
+    'preset.default': '{minutes} min',
+    'preset.fallback': 'Preajuste',
+    'preset.new': 'Mi preajuste',
+    'preset.minutes': '{minutes} min',
+    'preset.noLimit': 'Sin límite',
+    'preset.phaseTime': '{seconds} s',
+    'preset.soundOn': 'Sonido activado',
+    'preset.soundOff': 'Sonido desactivado',
+    'session.started': 'Sesión iniciada. {phase}',
+    'session.paused': 'En pausa',
+    'session.resumed': 'Reanudada. {phase}',
+    'session.ended': 'Sesión terminada',
+    'session.complete': 'Sesión completada',
+    'session.limitAnnounce': 'Límite de tiempo alcanzado, terminando el ciclo actual',
+    'session.oneMinute': 'Queda un minuto',
+    'session.segmentStarted': 'Comienza: {name}',
+    'session.phaseTime': 'Duración de fase: {seconds} segundos',
+    'session.finishing': 'Terminando el ciclo actual…',
+    'session.limitReached': 'Límite de tiempo alcanzado',
+    'timer.change': 'Cambiar la vista del temporizador',
+    'timer.elapsed': 'Tiempo total: {time}',
+    'timer.remainingTime': 'Restante: {time}',
+    'timer.remainingCycles': { one: 'Restante: {count} ciclo', other: 'Restante: {count} ciclos' },
+    'action.start': 'Empezar',
+    'action.pause': 'Pausa',
+    'action.resume': 'Reanudar',
+    'action.end': 'Terminar',
+    'action.backToStart': 'Volver al inicio',
+    'action.pip': 'Imagen en imagen',
+    'action.closePip': 'Cerrar imagen en imagen',
+    'pip.failed': 'Imagen en imagen no está disponible ahora.',
+    'action.back': 'Volver',
+    'action.save': 'Guardar',
+    'action.cancel': 'Cancelar',
+    'action.presets': 'Preajustes',
+    'action.stats': 'Estadísticas',
+    'action.reminders': 'Recordatorios',
+    'action.copyLink': 'Copiar enlace',
+    'action.journal': 'Diario',
+    'action.group': 'Grupo',
+    'action.skip': 'Omitir',
+    'complete.title': '¡Completado!',
+    'complete.cycles': { one: '{count} ciclo', other: '{count} ciclos' },
+    'start.soundOn': 'Sonido activado',
+    'start.soundOff': 'Sonido desactivado',
+    'start.cues': 'Señales',
+    'start.previewCues': 'Escuchar señales',
+    'start.volume': 'Volumen',
+    'start.holdTicks': 'Tic durante las retenciones',
+    'start.soundscape': 'Paisaje sonoro de fondo',
+    'ambient.white': 'Ruido blanco',
+    'ambient.pink': 'Ruido rosa',
+    'ambient.brown': 'Ruido marrón',
+    'ambient.ocean': 'Olas del mar',
+    'ambient.drone': 'Zumbido suave',
+    'start.voiceGuidance': 'Guía por voz',
+    'start.voice': 'Voz',
+    'start.defaultVoice': 'Voz predeterminada',
+    'start.voiceRate': 'Velocidad',
+    'start.voiceVerbosity': 'Decir',
+    'start.vibration': 'Vibración',
+    'start.hapticTicks': 'Tics suaves durante las retenciones',
+    'start.checkIn': 'Registro de ánimo',
+    'start.plan': 'Plan',
+    'start.editPlan': 'Editar plan personalizado',
+    'start.limitUnit': 'Unidad del límite',
+    'start.minutes': 'Minutos',
+    'start.cycles': 'Ciclos',
+    'start.limit': 'Límite (opcional)',
+    'start.limitMinutes': 'Límite de tiempo (minutos)',
+    'start.limitCycles': 'Número de ciclos',
+    'start.pattern': 'Patrón',
+    'start.visual': 'Visual',
+    'start.theme': 'Tema',
+    'start.power': 'Energía',
+    'start.prompt': 'Pulsa Empezar para comenzar',
+    'start.shortcuts': 'Espacio para empezar o pausar · Esc para terminar',
+    'start.phaseTimeShortcut': 'Las flechas cambian la duración de fase',
+    'start.phaseTime': 'Duración de fase (segundos):',
+    'stats.exportJson': 'Exportar JSON',
+    'stats.exportCsv': 'Exportar CSV',
+    'stats.import': 'Importar',
+    'stats.loading': 'Cargando…',
+    'stats.unavailable': 'El historial de sesiones no está disponible en este navegador.',
+    'stats.totalMinutes': 'Minutos totales',
+    'stats.sessions': 'Sesiones',
+    'stats.today': 'Hoy',
+    'stats.week': 'Últimos 7 días',
+    'stats.currentStreak': 'Racha actual',
+    'stats.longestStreak': 'Racha más larga',
+    'checkIn.before': '¿Cómo te sientes antes de empezar?',
+    'checkIn.after': '¿Cómo te sientes ahora?',
+    'checkIn.calm': 'Estresado 1 – 10 tranquilo:',
+    'checkIn.tags': 'Estado de ánimo',
+    'checkIn.note': 'Nota',
+    'checkIn.notePlaceholder': 'Unas palabras, si quieres',
+    'checkIn.save': 'Guardar registro',
+    'checkIn.saved': 'Registro guardado en tu diario.',
+    'checkIn.failed': 'No se pudo guardar el registro.',
+    'mood.calm': 'Tranquilo',
+    'mood.focused': 'Concentrado',
+    'mood.content': 'Contento',
+    'mood.tired': 'Cansado',
+    'mood.anxious': 'Ansioso',
+    'mood.stressed': 'Estresado',
+    'journal.empty': 'Aún no hay registros. Activa el registro de ánimo en la pantalla de inicio.',
+    'journal.groupBy': 'Cambio medio por',
+    'journal.byPattern': 'Patrón',
+    'journal.byDuration': 'Duración',
+    'journal.noChanges': 'Las medias aparecen cuando una entrada tiene registros de antes y después de una sesión.',
+    'journal.pairs': { one: '{count} registro', other: '{count} registros' },
+    'journal.before': 'Antes: {calm}',
+    'journal.after': 'Después: {calm}',
+    'journal.change': 'Antes {before} → después {after} ({change})',
+    'journal.unknownSession': 'Sesión no encontrada en el historial',
+    'journal.edit': 'Editar la entrada del {date}',
+    'journal.delete': 'Eliminar la entrada del {date}',
+    'journal.deleteFailed': 'No se pudo eliminar la entrada.',
+    'journal.duration.short': 'Menos de 5 min',
+    'journal.duration.medium': '5–10 min',
+    'journal.duration.long': '10–20 min',
+    'journal.duration.extended': '20 min o más',
+    'group.name': 'Tu nombre',
+    'group.defaultName': 'Invitado',
+    'group.room': 'Código de sala',
+    'group.relay': 'Servidor de retransmisión',
+    'group.hint': 'Las pestañas de este navegador se encuentran solas. Para respirar con otros dispositivos, todos deben usar el mismo servidor de retransmisión.',
+    'group.host': 'Dirigir',
+    'group.join': 'Unirse',
+    'group.leave': 'Salir del grupo',
+    'group.roomRequired': 'Introduce el código de sala de quien dirige para unirte.',
+    'group.relayInvalid': 'La dirección del servidor debe empezar por ws:// o wss://.',
+    'group.unsupported': 'Este navegador no puede comunicarse con otras pestañas. Introduce un servidor de retransmisión para conectarte por la red.',
+    'group.leading': 'Diriges la sala {room}. Todos respiran al ritmo de tu sesión.',
+    'group.following': 'Sigues la sala {room}. Quien dirige marca el ritmo.',
+    'group.relay.connecting': 'Conectando con el servidor de retransmisión…',
+    'group.relay.open': 'Conectado al servidor de retransmisión.',
+    'group.relay.closed': 'Servidor de retransmisión no disponible. Reintentando…',
+    'group.you': '{name} (tú)',
+    'group.youLeading': '{name} (tú, diriges)',
+    'group.leaderName': '{name} (dirige)',
+    'group.status': 'Sala {room}: {peers}',
+    'group.waiting': 'Esperando a que quien dirige empiece…',
+    'group.noLeader': 'Esperando a que se conecte quien dirige…',
+    'group.joined': '{name} se unió al grupo',
+    'group.left': '{name} salió del grupo',
+    'group.leaderLeft': 'Quien dirigía se fue. Tu sesión continúa por su cuenta.',
+    'export.done': { one: '{count} sesión exportada', other: '{count} sesiones exportadas' },
+    'import.failed': 'Error al importar: {reason}',
+    'import.invalidJson': 'el archivo no es JSON válido.',
+    'import.unavailable': 'Error al importar: el historial de sesiones no está disponible en este navegador.',
+    'import.csvColumns': 'El archivo CSV necesita al menos las columnas startedAt y duration.',
+    'import.notBackup': 'Este archivo no es una copia de seguridad de Box Breathing.',
+    'import.newer': 'Esta copia de seguridad se hizo con una versión más reciente de la app.',
+    'import.sessions': { one: '{count} sesión importada', other: '{count} sesiones importadas' },
+    'import.sessionsAndSettings': {
+        one: '{count} sesión y ajustes importados',
+        other: '{count} sesiones y ajustes importados'
+    },
+    'import.duplicates': { one: '{count} ya existente', other: '{count} ya existentes' },
+    'import.invalid': { one: '{count} no válida', other: '{count} no válidas' },
+    'import.report': '{imported}.',
+    'import.reportSkipped': '{imported}; omitidas: {skipped}.',
+    'link.invalid': 'Algunos ajustes del enlace no eran válidos y se restablecieron: {names}',
+    'link.copied': 'Enlace a esta configuración copiado',
+    'link.copy': 'Copia este enlace: {link}',
+    'reminder.title': 'Hora de respirar',
+    'reminder.body': 'Tómate unos minutos para la respiración cuadrada.',
+    'reminder.bodyPreset': 'Tu sesión «{name}» está lista.',
+    'reminder.blocked': 'Las notificaciones están bloqueadas, así que no se pueden mostrar recordatorios. Permítelas en los ajustes del navegador.',
+    'reminders.unsupported': 'Este navegador no puede mostrar notificaciones, así que los recordatorios no aparecerán.',
+    'reminders.denied': 'Las notificaciones están bloqueadas para esta app. Permítelas en los ajustes del navegador para recibir recordatorios.',
+    'reminders.openOnly': 'Los recordatorios solo aparecen mientras la app está abierta en este navegador.',
+    'reminders.time': 'Hora del recordatorio {number}',
+    'reminders.days': 'Días del recordatorio {number}',
+    'reminders.delete': 'Eliminar recordatorio {number}',
+    'reminders.empty': 'Aún no hay recordatorios.',
+    'reminders.add': 'Añadir recordatorio',
+    'connection.offline': 'Estás sin conexión. La app sigue funcionando.',
+    'connection.online': 'Conexión restablecida',
+    'canvas.label': 'Guía de respiración {pattern}, {description}',
+    'canvas.complete': 'sesión completada',
+    'canvas.paused': 'en pausa durante {phase}',
+    'canvas.current': 'fase actual {phase}',
+    'presets.add': 'Añadir preajuste',
+    'presets.empty': 'Aún no hay preajustes.',
+    'presets.moveUp': 'Subir {name}',
+    'presets.moveDown': 'Bajar {name}',
+    'presets.edit': 'Editar {name}',
+    'presets.delete': 'Eliminar {name}',
+    'presetForm.name': 'Nombre',
+    'presetForm.minutes': 'Minutos',
+    'presetForm.phaseTime': 'Duración de fase (s)',
+    'presetForm.sound': 'Sonido',
+    'presetForm.keep': 'Mantener actual',
+    'presetForm.on': 'Activado',
+    'presetForm.off': 'Desactivado',
+    'planForm.addSegment': 'Añadir tramo',
+    'planForm.name': 'Nombre del tramo {number}',
+    'planForm.remove': 'Quitar tramo {number}',
+    'planForm.length': 'Duración del tramo {number}',
+    'planForm.unit': 'Unidad de duración del tramo {number}',
+    'planForm.minutes': 'minutos',
+    'planForm.cycles': 'ciclos',
+    'planForm.phaseTime': 'Duración de fase del tramo {number} en segundos',
+    'planForm.endPhaseTime': 'Duración de fase final del tramo {number} en segundos',
+    'planForm.steady': 'Estable',
+    'planForm.seconds': 's'
+};
@@ -0,0 +1,261 @@
+// Japanese messages, keyed by message id. See the localization notes
+// in app.js.
+export const messages = {
+    'app.title': 'ボックス呼吸',
+    'language.label': '言語',
+    'language.auto': 'ブラウザの言語',
+    'banner.offline': 'オフラインですが、アプリは通常どおり使えます',
+    'banner.update': '新しいバージョンがあります',
+    'banner.reload': '再読み込み',
+    'pattern.box': 'ボックス（4 × 均等）',
+    'pattern.triangle': 'トライアングル',
+    'pattern.4-7-8': '4-7-8 リラックス',
+    'pattern.extended-exhale': '2:1 長い呼気',
+    'pattern.resonance': '共鳴呼吸（5.5 秒）',
+    'pattern.physiological-sigh': '生理的ため息',
+    'phase.inhale': '吸う',
+    'phase.hold': '止める',
+    'phase.exhale': '吐く',
+    'phase.wait': '待つ',
+    'phase.inhaleMore': 'さらに吸う',
+    'phase.longExhale': '長く吐く',
+    'theme.auto': 'システムに合わせる',
+    'theme.dark': 'ダーク',
+    'theme.light': 'ライト',
+    'theme.high-contrast': 'ハイコントラスト',
+    'theme.colorblind': '色覚多様性に配慮',
+    'cue.chime': 'チャイム',
+    'cue.phase-pitch': 'フェーズごとの音程',
+    'cue.sweep': 'ガイド音',
+    'cue.silent': '無音',
+    'verbosity.minimal': 'フェーズのみ',
+    'verbosity.standard': 'フェーズとお知らせ',
+    'verbosity.detailed': 'フェーズ、お知らせ、カウントダウン',
+    'visual.dots': '四隅のドット',
+    'visual.perimeter': 'ボックスをなぞる',
+    'visual.circle': '呼吸の円',
+    'visual.text': 'カウントダウン',
+    'power.auto': '自動（バッテリー残量が少ないときは省電力）',
+    'power.normal': 'フルフレームレート',
+    'power.low': '省電力',
+    'plan.single': '単発セッション',
+    'plan.warmup-ramp': 'ウォームアップ・漸増・クールダウン',
+    'plan.deepening': '深めていく（20 サイクル）',
+    'plan.custom': 'カスタムプラン',
+    'segment.warmUp': 'ウォームアップ',
+    'segment.mainSet': 'メイン',
+    'segment.coolDown': 'クールダウン',
+    'segment.settle': '落ち着く',
+    'segment.deepen': '深める',
+    'segment.steady': '安定',
+    'segment.default': 'セグメント',
+    'segment.numbered': 'セグメント {number}',
+    'segment.info': '{name}（{number}/{total}）· {remaining}',
+    'segment.timeLeft': '残り {time}',
+    'segment.cyclesLeft': { other: '残り {count} サイクル' },
+    'preset.default': '{minutes} 分',
+    'preset.fallback': 'プリセット',
+    'preset.new': 'マイプリセット',
+    'preset.minutes': '{minutes} 分',
+    'preset.noLimit': '制限なし',
+    'preset.phaseTime': '{seconds} 秒',
+    'preset.soundOn': 'サウンドオン',
+    'preset.soundOff': 'サウンドオフ',
+    'session.started': 'セッションを開始しました。{phase}',
+    'session.paused': '一時停止中',
+    'session.resumed': '再開しました。{phase}',
+    'session.ended': 'セッションを終了しました',
+    'session.complete': 'セッション完了',
+    'session.limitAnnounce': '時間になりました。現在のサイクルで終了します',
+    'session.oneMinute': '残り 1 分',
+    'session.segmentStarted': '{name}を開始',
+    'session.phaseTime': 'フェーズ時間 {seconds} 秒',
+    'session.finishing': '現在のサイクルで終了します…',
+    'session.limitReached': '時間になりました',
+    'timer.change': 'タイマー表示を切り替え',
+    'timer.elapsed': '合計時間: {time}',
+    'timer.remainingTime': '残り: {time}',
+    'timer.remainingCycles': { other: '残り: {count} サイクル' },
+    'action.start': 'スタート',
+    'action.pause': '一時停止',
+    'action.resume': '再開',
+    'action.end': '終了',
+    'action.backToStart': '最初に戻る',
+    'action.pip': 'ピクチャー・イン・ピクチャー',
+    'action.closePip': 'ピクチャー・イン・ピクチャーを閉じる',
+    'pip.failed': 'ピクチャー・イン・ピクチャーは現在利用できません。',
+    'action.back': '戻る',
+    'action.save': '保存',
+    'action.cancel': 'キャンセル',
+    'action.presets': 'プリセット',
+    'action.stats': '統計',
+    'action.reminders': 'リマインダー',
+    'action.copyLink': 'リンクをコピー',
+    'action.journal': '日記',
+    'action.group': 'グループ',
+    'action.skip': 'スキップ',
+    'complete.title': '完了！',
+    'complete.cycles': { other: '{count} サイクル' },
+    'start.soundOn': 'サウンドオン',
+    'start.soundOff': 'サウンドオフ',
+    'start.cues': '合図',
+    'start.previewCues': '合図を試聴',
+    'start.volume': '音量',
+    'start.holdTicks': '止めている間にチック音',
+    'start.soundscape': '背景サウンドスケープ',
+    'ambient.white': 'ホワイトノイズ',
+    'ambient.pink': 'ピンクノイズ',
+    'ambient.brown': 'ブラウンノイズ',
+    'ambient.ocean': '波の音',
+    'ambient.drone': 'やわらかなドローン',
+    'start.voiceGuidance': '音声ガイド',
+    'start.voice': '音声',
+    'start.defaultVoice': '既定の音声',
+    'start.voiceRate': '速さ',
+    'start.voiceVerbosity': '読み上げ',
+    'start.vibration': 'バイブレーション',
+    'start.hapticTicks': '止めている間に軽い振動',
+    'start.checkIn': '気分チェックイン',
+    'start.plan': 'プラン',
+    'start.editPlan': 'カスタムプランを編集',
+    'start.limitUnit': '制限の単位',
+    'start.minutes': '分',
+    'start.cycles': 'サイクル',
+    'start.limit': '制限（任意）',
+    'start.limitMinutes': '制限時間（分）',
+    'start.limitCycles': 'サイクル数',
+    'start.pattern': 'パターン',
+    'start.visual': '表示',
+    'start.theme': 'テーマ',
+    'start.power': '電力',
+    'start.prompt': 'スタートを押して始めましょう',
+    'start.shortcuts': 'スペースで開始・一時停止 · Esc で終了',
+    'start.phaseTimeShortcut': '矢印キーでフェーズ時間を変更',
+    'start.phaseTime': 'フェーズ時間（秒）:',
+    'stats.exportJson': 'JSON を書き出す',
+    'stats.exportCsv': 'CSV を書き出す',
+    'stats.import': '読み込む',
+    'stats.loading': '読み込み中…',
+    'stats.unavailable': 'このブラウザではセッション履歴を利用できません。',
+    'stats.totalMinutes': '合計（分）',
+    'stats.sessions': 'セッション',
+    'stats.today': '今日',
+    'stats.week': '過去 7 日間',
+    'stats.currentStreak': '現在の連続日数',
+    'stats.longestStreak': '最長の連続日数',
+    'checkIn.before': '始める前の気分は?',
+    'checkIn.after': '今の気分は?',
+    'checkIn.calm': 'ストレス 1 – 10 落ち着き:',
+    'checkIn.tags': '気分',
+    'checkIn.note': 'メモ',
+    'checkIn.notePlaceholder': 'ひとこと (任意)',
+    'checkIn.save': 'チェックインを保存',
+    'checkIn.saved': 'チェックインを日記に保存しました。',
+    'checkIn.failed': 'チェックインを保存できませんでした。',
+    'mood.calm': '落ち着いている',
+    'mood.focused': '集中している',
+    'mood.content': '満ち足りている',
+    'mood.tired': '疲れている',
+    'mood.anxious': '不安',
+    'mood.stressed': 'ストレス',
+    'journal.empty': 'まだチェックインはありません。スタート画面で気分チェックインをオンにしてください。',
+    'journal.groupBy': '平均の変化の分類',
+    'journal.byPattern': 'パターン',
+    'journal.byDuration': '時間',
+    'journal.noChanges': 'セッションの前後両方のチェックインがあるエントリーから平均が表示されます。',
+    'journal.pairs': { other: '{count} 件のチェックイン' },
+    'journal.before': '前: {calm}',
+    'journal.after': '後: {calm}',
+    'journal.change': '前 {before} → 後 {after} ({change})',
+    'journal.unknownSession': '履歴にないセッション',
+    'journal.edit': '{date} のエントリーを編集',
+    'journal.delete': '{date} のエントリーを削除',
+    'journal.deleteFailed': 'エントリーを削除できませんでした。',
+    'journal.duration.short': '5 分未満',
+    'journal.duration.medium': '5〜10 分',
+    'journal.duration.long': '10〜20 分',
+    'journal.duration.extended': '20 分以上',
+    'group.name': 'あなたの名前',
+    'group.defaultName': 'ゲスト',
+    'group.room': 'ルームコード',
+    'group.relay': 'リレーサーバー',
+    'group.hint': 'このブラウザーのタブ同士は自動でつながります。ほかの端末と一緒に呼吸するには、全員が同じリレーサーバーを入力してください。',
+    'group.host': 'リードする',
+    'group.join': '参加',
+    'group.leave': 'グループを抜ける',
+    'group.roomRequired': '参加するにはリーダーのルームコードを入力してください。',
+    'group.relayInvalid': 'リレーサーバーのアドレスは ws:// または wss:// で始めてください。',
+    'group.unsupported': 'このブラウザーはほかのタブと通信できません。ネットワーク経由でつなぐにはリレーサーバーを入力してください。',
+    'group.leading': 'ルーム {room} をリードしています。全員があなたのセッションに合わせて呼吸します。',
+    'group.following': 'ルーム {room} に参加しています。タイミングはリーダーが決めます。',
+    'group.relay.connecting': 'リレーサーバーに接続しています…',
+    'group.relay.open': 'リレーサーバーに接続しました。',
+    'group.relay.closed': 'リレーサーバーに接続できません。再試行しています…',
+    'group.you': '{name} (あなた)',
+    'group.youLeading': '{name} (あなた、リーダー)',
+    'group.leaderName': '{name} (リーダー)',
+    'group.status': 'ルーム {room}: {peers}',
+    'group.waiting': 'リーダーの開始を待っています…',
+    'group.noLeader': 'リーダーの接続を待っています…',
+    'group.joined': '{name} がグループに参加しました',
+    'group.left': '{name} がグループを抜けました',
+    'group.leaderLeft': 'リーダーが抜けました。セッションはこのまま続きます。',
+    'export.done': { other: '{count} 件のセッションを書き出しました' },
+    'import.failed': '読み込みに失敗しました: {reason}',
+    'import.invalidJson': 'ファイルが正しい JSON ではありません。',
+    'import.unavailable': '読み込みに失敗しました: このブラウザではセッション履歴を利用できません。',
+    'import.csvColumns': 'CSV ファイルには少なくとも startedAt と duration の列が必要です。',
+    'import.notBackup': 'このファイルは Box Breathing のバックアップではありません。',
+    'import.newer': 'このバックアップは新しいバージョンのアプリで作成されています。',
+    'import.sessions': { other: '{count} 件のセッションを読み込みました' },
+    'import.sessionsAndSettings': { other: '{count} 件のセッションと設定を読み込みました' },
+    'import.duplicates': { other: '{count} 件は登録済み' },
+    'import.invalid': { other: '{count} 件は無効' },
+    'import.report': '{imported}。',
+    'import.reportSkipped': '{imported}（スキップ: {skipped}）。',
+    'link.invalid': '無効なリンク設定があったため既定値に戻しました: {names}',
+    'link.copied': 'この設定へのリンクをコピーしました',
+    'link.copy': 'このリンクをコピーしてください: {link}',
+    'reminder.title': '呼吸の時間です',
+    'reminder.body': '数分間、ボックス呼吸をしましょう。',
+    'reminder.bodyPreset': '「{name}」のセッションの準備ができました。',
+    'reminder.blocked': '通知がブロックされているため、リマインダーを表示できません。ブラウザの設定で許可してください。',
+    'reminders.unsupported': 'このブラウザは通知を表示できないため、リマインダーは表示されません。',
+    'reminders.denied': 'このアプリの通知はブロックされています。リマインダーを受け取るにはブラウザの設定で許可してください。',
+    'reminders.openOnly': 'リマインダーは、このブラウザでアプリを開いている間だけ表示されます。',
+    'reminders.time': 'リマインダー {number} の時刻',
+    'reminders.days': 'リマインダー {number} の曜日',
+    'reminders.delete': 'リマインダー {number} を削除',
+    'reminders.empty': 'リマインダーはまだありません。',
+    'reminders.add': 'リマインダーを追加',
+    'connection.offline': 'オフラインです。アプリはそのまま使えます。',
+    'connection.online': 'オンラインに戻りました',
+    'canvas.label': '{pattern}の呼吸ガイド、{description}',
+    'canvas.complete': 'セッション完了',
+    'canvas.paused': '{phase}で一時停止中',
+    'canvas.current': '現在のフェーズ: {phase}',
+    'presets.add': 'プリセットを追加',
+    'presets.empty': 'プリセットはまだありません。',
+    'presets.moveUp': '{name}を上へ',
+    'presets.moveDown': '{name}を下へ',
+    'presets.edit': '{name}を編集',
+    'presets.delete': '{name}を削除',
+    'presetForm.name': '名前',
+    'presetForm.minutes': '分',
+    'presetForm.phaseTime': 'フェーズ時間（秒）',
+    'presetForm.sound': 'サウンド',
+    'presetForm.keep': '現在の設定のまま',
+    'presetForm.on': 'オン',
+    'presetForm.off': 'オフ',
+    'planForm.addSegment': 'セグメントを追加',
+    'planForm.name': 'セグメント {number} の名前',
+    'planForm.remove': 'セグメント {number} を削除',
+    'planForm.length': 'セグメント {number} の長さ',
+    'planForm.unit': 'セグメント {number} の長さの単位',
+    'planForm.minutes': '分',
+    'planForm.cycles': 'サイクル',
+    'planForm.phaseTime': 'セグメント {number} のフェーズ時間（秒）',
+    'planForm.endPhaseTime': 'セグメント {number} の最終フェーズ時間（秒）',
+    'planForm.steady': '一定',
+    'planForm.seconds': '秒'
+};
@@ -0,0 +1,176 @@
+// Group breathing relay: passes JSON messages between the sockets in a room.
+// Dependency-free; run it with `node relay/server.mjs` (PORT defaults to
+// 8787) behind a TLS-terminating proxy, and enter its wss:// address in the
+// app's Group screen.
+//
+// A socket's first message must be { type: 'join', room, from }, with a peer
+// id not already in the room. After that every JSON object it sends goes to
+// the other sockets in the room with `from` set to that id, so no one can
+// speak for another peer, and when it disconnects they get
+// { type: 'leave', from }. The relay knows nothing else about the messages;
+// see group-session.js.
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_ROOM_SIZE = 50;
+
+// room code → Set of clients
+const rooms = new Map();
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function sendText(client, text) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(0x1, Buffer.from(text)));
+    }
+}
+
+function broadcast(client, text) {
+    const room = rooms.get(client.room);
+    if (!room) return;
+    room.forEach(other => {
+        if (other !== client) {
+            sendText(other, text);
+        }
+    });
+}
+
+function leaveRoom(client) {
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (!room.size) {
+        rooms.delete(client.room);
+    }
+    broadcast(client, JSON.stringify({ type: 'leave', from: client.peerId }));
+}
+
+function handleText(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        message = null;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        if (client.room === null) {
+            client.socket.end(encodeFrame(0x8));
+        }
+        return;
+    }
+    if (client.room !== null) {
+        broadcast(client, JSON.stringify({ ...message, from: client.peerId }));
+        return;
+    }
+    const room = message.type === 'join' && typeof message.room === 'string' ? message.room.slice(0, 12) : '';
+    const peerId = typeof message.from === 'string' ? message.from.slice(0, 64) : '';
+    const members = rooms.get(room) || new Set();
+    if (!room || !peerId || members.size >= MAX_ROOM_SIZE || [...members].some(other => other.peerId === peerId)) {
+        client.socket.end(encodeFrame(0x8));
+        return;
+    }
+    members.add(client);
+    rooms.set(room, members);
+    client.room = room;
+    client.peerId = peerId;
+}
+
+// Reads whole frames from the buffer; client frames are always masked.
+// Fragmented messages aren't used by browsers for small JSON and are refused.
+function readFrames(client) {
+    let buffer = client.buffer;
+    while (buffer.length >= 2) {
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (!masked || !fin || length > MAX_MESSAGE_BYTES) {
+            client.socket.destroy();
+            return;
+        }
+        if (buffer.length < offset + 4 + length) break;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        buffer = buffer.subarray(offset + 4 + length);
+
+        if (opcode === 0x1) {
+            handleText(client, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+            client.socket.end(encodeFrame(0x8));
+            return;
+        } else if (opcode === 0x9) {
+            client.socket.write(encodeFrame(0xa, payload));
+        } else if (opcode !== 0xa) {
+            client.socket.destroy();
+            return;
+        }
+    }
+    client.buffer = buffer;
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This is a WebSocket relay for Box Breathing groups.\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = { socket, buffer: Buffer.alloc(0), room: null, peerId: null };
+    socket.setNoDelay(true);
+    socket.on('data', chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        readFrames(client);
+    });
+    socket.on('close', () => leaveRoom(client));
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+    console.log(`Group relay listening on port ${PORT}`);
+});
@@ -0,0 +1,90 @@
+// An in-page stand-in for the group relay, for trying out or testing group
+// sessions without a server. It behaves like a WebSocket already connected
+// to relay/server.mjs, but only reaches other stub sockets in the same page:
+//
+//   new GroupSession({ ..., relayUrl: 'stub:', WebSocket: StubRelaySocket })
+//
+// StubRelaySocket.reset() drops every room.
+
+// room code → Set of sockets
+const rooms = new Map();
+
+function deliver(socket, data) {
+    setTimeout(() => {
+        if (socket.readyState === StubRelaySocket.OPEN && typeof socket.onmessage === 'function') {
+            socket.onmessage({ data });
+        }
+    }, 0);
+}
+
+export class StubRelaySocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 3;
+
+    #room = null;
+    #peerId = null;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = StubRelaySocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        setTimeout(() => {
+            if (this.readyState !== StubRelaySocket.CONNECTING) return;
+            this.readyState = StubRelaySocket.OPEN;
+            if (typeof this.onopen === 'function') this.onopen({});
+        }, 0);
+    }
+
+    static reset() {
+        rooms.forEach(room => room.forEach(socket => socket.close()));
+        rooms.clear();
+    }
+
+    send(data) {
+        if (this.readyState !== StubRelaySocket.OPEN) {
+            throw new Error('Stub relay socket is not open');
+        }
+        const message = JSON.parse(data);
+        if (this.#room === null) {
+            const room = message && message.type === 'join' && typeof message.room === 'string' ? message.room : '';
+            const members = rooms.get(room);
+            if (!room || typeof message.from !== 'string'
+                || (members && [...members].some(socket => socket.#peerId === message.from))) {
+                this.close();
+                return;
+            }
+            this.#room = room;
+            this.#peerId = message.from;
+            if (!members) rooms.set(room, new Set());
+            rooms.get(room).add(this);
+            return;
+        }
+        // Like the relay, speak only as the peer that joined.
+        if (!message || typeof message !== 'object') return;
+        this.#broadcast(JSON.stringify({ ...message, from: this.#peerId }));
+    }
+
+    close() {
+        if (this.readyState === StubRelaySocket.CLOSED) return;
+        this.readyState = StubRelaySocket.CLOSED;
+        const room = rooms.get(this.#room);
+        if (room && room.delete(this)) {
+            this.#broadcast(JSON.stringify({ type: 'leave', from: this.#peerId }));
+            if (!room.size) rooms.delete(this.#room);
+        }
+        setTimeout(() => {
+            if (typeof this.onclose === 'function') this.onclose({});
+        }, 0);
+    }
+
+    #broadcast(data) {
+        const room = rooms.get(this.#room);
+        if (!room) return;
+        room.forEach(socket => {
+            if (socket !== this) deliver(socket, data);
+        });
+    }
+}
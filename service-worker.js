@@ -1,14 +1,28 @@
-const CACHE_NAME = 'box-breathing-cache-v2'; // Versioned cache name
+const CACHE_NAME = 'box-breathing-cache-v7'; // Versioned cache name
 const urlsToCache = [
   './',
   './index.html',
-  './app.js',           // Replace with your app’s JS file
-  './manifest.json',    // Replace with your manifest file
-  './icons/icon-192x192.png', // Adjust icon paths as needed
+  './app.js',
+  './session-engine.js',
+  './box-breathing.js',
+  './group-session.js',
+  './locales/en.js',
+  './locales/de.js',
+  './locales/es.js',
+  './locales/ja.js',
+  './locales/ar.js',
+  './manifest.json',
+  './manifest.de.json',
+  './manifest.es.json',
+  './manifest.ja.json',
+  './manifest.ar.json',
+  './icons/icon-192x192.png',
   './icons/icon-512x512.png'
 ];
 
-// Install event - cache assets
+// Install event - cache assets. The new worker then waits until the page
+// asks it to take over (see the SKIP_WAITING message below), so a running
+// session is never swapped out from under the user.
 self.addEventListener('install', event => {
   event.waitUntil(
     caches.open(CACHE_NAME)
@@ -20,8 +34,6 @@ self.addEventListener('install', event => {
         console.error('Cache addAll failed:', error);
       })
   );
-  // Activate immediately
-  self.skipWaiting();
 });
 
 // Activate event - clean up old caches
@@ -44,50 +56,162 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - serve from cache or network
+// Fetch event - stale-while-revalidate: answer from the cache when we can,
+// and refresh the cached copy from the network in the background so the
+// next load picks up new app files.
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        if (response) {
-          console.log('Serving from cache:', event.request.url);
-          return response;
-        }
-
-        // Clone the request for fetching
-        const fetchRequest = event.request.clone();
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+  const isNavigation = request.mode === 'navigate';
+  // Every navigation loads the same page, deep links included (they carry
+  // settings in the query string), so it is read and refreshed under one key.
+  const cacheKey = isNavigation ? './index.html' : request;
 
-        return fetch(fetchRequest)
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache => {
+      return cache.match(cacheKey).then(cached => {
+        const network = fetch(request)
           .then(response => {
-            // Validate response
-            if (!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
+            if (response && response.status === 200 && response.type === 'basic') {
+              cache.put(cacheKey, response.clone());
             }
-
-            // Clone and cache the response
-            const responseToCache = response.clone();
-            caches.open(CACHE_NAME)
-              .then(cache => {
-                console.log('Caching new resource:', event.request.url);
-                cache.put(event.request, responseToCache);
-              });
-
             return response;
           })
           .catch(() => {
-            console.log('Fetch failed, serving fallback:', event.request.url);
+            console.log('Fetch failed, serving fallback:', request.url);
             // Fallback to index.html for navigation requests
-            if (event.request.mode === 'navigate') {
-              return caches.match('./index.html');
+            if (isNavigation) {
+              return cache.match('./index.html');
             }
+            return cached || Response.error();
           });
-      })
+
+        if (cached) {
+          event.waitUntil(network.then(() => undefined));
+          return cached;
+        }
+        return network;
+      });
+    })
+  );
+});
+
+// Daily reminders. The page mirrors its reminder list into IndexedDB next
+// to the session history; a reminder is shown once per day, only on its
+// weekdays, within a couple of hours of its time, and never on a day that
+// already has a completed session.
+const DB_NAME = 'box-breathing';
+const DB_VERSION = 3; // Keep in step with HISTORY_DB_VERSION in app.js
+const REMINDER_SYNC_TAG = 'daily-reminders';
+const REMINDER_GRACE_MINUTES = 120;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id' }).createIndex('startedAt', 'startedAt');
+      }
+      if (!db.objectStoreNames.contains('reminders')) {
+        db.createObjectStore('reminders', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('journal')) {
+        db.createObjectStore('journal', { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function checkReminders() {
+  const db = await openDb();
+  const now = new Date();
+  const today = new Date(now).setHours(0, 0, 0, 0);
+  const tx = db.transaction(['reminders', 'sessions'], 'readonly');
+  const [config, todaysSessions] = await Promise.all([
+    requestResult(tx.objectStore('reminders').get('config')),
+    requestResult(tx.objectStore('sessions').index('startedAt').getAll(IDBKeyRange.lowerBound(today)))
+  ]);
+  if (!config || !config.reminders.length || todaysSessions.some(session => session.completed)) {
+    return;
+  }
+
+  const minutesNow = now.getHours() * 60 + now.getMinutes();
+  const shown = config.shown || {};
+  const due = config.reminders.filter(reminder => {
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    const late = minutesNow - (hours * 60 + minutes);
+    return reminder.days.includes(now.getDay()) && late >= 0 && late <= REMINDER_GRACE_MINUTES
+      && shown[reminder.id] !== today;
+  });
+  if (!due.length) {
+    return;
+  }
+
+  due.forEach(reminder => {
+    shown[reminder.id] = today;
+  });
+  // Committed before showing anything, so a worker stopped right after
+  // can't show the same reminder again.
+  const writeTx = db.transaction('reminders', 'readwrite');
+  writeTx.objectStore('reminders').put({ ...config, shown });
+  await transactionDone(writeTx);
+  await self.registration.showNotification(config.title, {
+    body: config.body,
+    tag: 'daily-reminder',
+    icon: 'icons/icon-192x192.png',
+    data: { url: config.url }
+  });
+}
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(checkReminders().catch(error => console.error('Reminder check failed:', error)));
+  }
+});
+
+// Focus an open window and hand it the reminder's link, or open a new one.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const url = new URL(data.url || './index.html', self.location.href).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const client = windows[0];
+      if (client) {
+        client.postMessage({ type: 'OPEN_LINK', url });
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
   );
 });
 
-// Handle skip waiting messages
+// Handle messages from the page: skip waiting for updates, and reminder
+// checks while the app is open.
 self.addEventListener('message', event => {
   if (event.data && event.data.type === 'SKIP_WAITING') {
     self.skipWaiting();
+  } else if (event.data && event.data.type === 'CHECK_REMINDERS') {
+    event.waitUntil(checkReminders().catch(error => console.error('Reminder check failed:', error)));
   }
 });
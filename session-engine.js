@@ -0,0 +1,572 @@
+// Breathing session engine, free of any DOM. It keeps the session clock,
+// steps through the pattern's phases, counts cycles, applies time and cycle
+// limits and session plans, and reports what happens as events:
+//
+//   statuschange   { status, previous }          idle | running | paused | finishing | complete
+//   phasechange    { index, phase, cycles }      once per sync, even if several phases passed
+//   tick           { elapsed, totalTime, countdown, phaseStarted }   each whole second
+//   segmentchange  { index, segment }            a plan moved on to its next segment
+//   complete       { totalTime, cycles }
+//
+// Everything is derived from how long the session has been running, so
+// throttled or delayed timers never drift.
+
+// Built-in breathing patterns, named by `pattern.<id>` messages in app.js.
+// Each phase has a label (a `phase.<label>` message), a colour tone (inhale,
+// hold, exhale or rest, resolved by the theme) and an animation type (grow,
+// hold, shrink or rest). A phase either has a fixed `duration` in seconds or
+// a number of `beats`, which is multiplied by the phase time.
+export const breathingPatterns = [
+    {
+        id: 'box',
+        phases: [
+            { label: 'inhale', beats: 1, tone: 'inhale', animation: 'grow' },
+            { label: 'hold', beats: 1, tone: 'hold', animation: 'hold' },
+            { label: 'exhale', beats: 1, tone: 'exhale', animation: 'shrink' },
+            { label: 'wait', beats: 1, tone: 'rest', animation: 'rest' }
+        ]
+    },
+    {
+        id: 'triangle',
+        phases: [
+            { label: 'inhale', beats: 1, tone: 'inhale', animation: 'grow' },
+            { label: 'hold', beats: 1, tone: 'hold', animation: 'hold' },
+            { label: 'exhale', beats: 1, tone: 'exhale', animation: 'shrink' }
+        ]
+    },
+    {
+        id: '4-7-8',
+        phases: [
+            { label: 'inhale', duration: 4, tone: 'inhale', animation: 'grow' },
+            { label: 'hold', duration: 7, tone: 'hold', animation: 'hold' },
+            { label: 'exhale', duration: 8, tone: 'exhale', animation: 'shrink' }
+        ]
+    },
+    {
+        id: 'extended-exhale',
+        phases: [
+            { label: 'inhale', beats: 1, tone: 'inhale', animation: 'grow' },
+            { label: 'exhale', beats: 2, tone: 'exhale', animation: 'shrink' }
+        ]
+    },
+    {
+        id: 'resonance',
+        phases: [
+            { label: 'inhale', duration: 5.5, tone: 'inhale', animation: 'grow' },
+            { label: 'exhale', duration: 5.5, tone: 'exhale', animation: 'shrink' }
+        ]
+    },
+    {
+        id: 'physiological-sigh',
+        phases: [
+            { label: 'inhale', duration: 2, tone: 'inhale', animation: 'grow' },
+            { label: 'inhaleMore', duration: 1, tone: 'hold', animation: 'grow' },
+            { label: 'longExhale', duration: 6, tone: 'exhale', animation: 'shrink' }
+        ]
+    }
+];
+
+export function getPattern(id) {
+    return breathingPatterns.find(pattern => pattern.id === id) || breathingPatterns[0];
+}
+
+export function patternUsesPhaseTime(pattern) {
+    return pattern.phases.some(phase => phase.duration === undefined);
+}
+
+export function clampPhaseTime(value) {
+    const phaseTime = parseFloat(value);
+    if (!Number.isFinite(phaseTime)) {
+        return 4;
+    }
+    return Math.min(6, Math.max(3, Math.round(phaseTime * 2) / 2));
+}
+
+// Session lifecycle: idle → running → finishing → complete, with paused
+// reachable from running and finishing. Each status lists where it may go.
+const sessionTransitions = {
+    idle: ['running'],
+    running: ['paused', 'finishing', 'complete', 'idle'],
+    paused: ['running', 'finishing', 'idle'],
+    finishing: ['paused', 'complete', 'idle'],
+    complete: ['idle']
+};
+
+function toPositiveNumber(value) {
+    const number = parseFloat(value);
+    return number > 0 ? number : null;
+}
+
+function createProgress() {
+    return {
+        phaseIndex: 0,
+        phaseStartMs: 0,
+        countdown: 0,
+        cycles: 0,
+        totalTime: 0,
+        startedAt: null,
+        pausedStatus: null,
+        // Phase time of the current plan cycle; null outside plans
+        activePhaseTime: null,
+        segmentIndex: 0,
+        segmentStartMs: 0,
+        segmentStartCycle: 0
+    };
+}
+
+export class SessionEngine extends EventTarget {
+    #status = 'idle';
+    #options = { pattern: breathingPatterns[0], phaseTime: 4, duration: null, cycles: null, plan: null };
+    #progress = createProgress();
+    #clock = { startTime: 0, pausedAt: null, pausedDuration: 0 };
+    #tickTimeout = null;
+    // Set by seek() when it went back, so the next sync announces the phase.
+    #replayed = false;
+
+    // Options as for configure().
+    constructor(options = {}) {
+        super();
+        this.configure(options);
+    }
+
+    // Sets any of { pattern (id), phaseTime (seconds), duration (minutes),
+    // cycles, plan ({ segments } or null) }. A duration or cycle count of
+    // null means no limit; with a plan both are ignored. Meant for idle
+    // sessions: a running session picks changes up at its next phase.
+    configure(options = {}) {
+        const current = this.#options;
+        if ('pattern' in options) current.pattern = getPattern(options.pattern);
+        if ('phaseTime' in options) current.phaseTime = clampPhaseTime(options.phaseTime);
+        if ('duration' in options) current.duration = toPositiveNumber(options.duration);
+        if ('cycles' in options) {
+            const cycles = toPositiveNumber(options.cycles);
+            current.cycles = cycles !== null ? Math.round(cycles) : null;
+        }
+        if ('plan' in options) {
+            current.plan = options.plan && Array.isArray(options.plan.segments) && options.plan.segments.length
+                ? options.plan
+                : null;
+        }
+        if (this.#status === 'idle') {
+            this.#progress.countdown = this.getPhaseDuration(0);
+        }
+    }
+
+    get status() { return this.#status; }
+    get pattern() { return this.#options.pattern; }
+    get phaseTime() { return this.#options.phaseTime; }
+    get duration() { return this.#options.duration; }
+    get cycleLimit() { return this.#options.cycles; }
+    get phaseIndex() { return this.#progress.phaseIndex; }
+    get phase() { return this.getPhase(); }
+    get countdown() { return this.#progress.countdown; }
+    get cycles() { return this.#progress.cycles; }
+    // Whole seconds; on completion, the end of the last cycle.
+    get totalTime() { return this.#progress.totalTime; }
+    // Date.now() when the session started, or null while idle.
+    get startedAt() { return this.#progress.startedAt; }
+    get segmentIndex() { return this.#progress.segmentIndex; }
+    get segmentStartMs() { return this.#progress.segmentStartMs; }
+    get segmentStartCycle() { return this.#progress.segmentStartCycle; }
+    get isActive() { return this.#status === 'running' || this.#status === 'finishing'; }
+    get isStarted() { return this.#status !== 'idle'; }
+    // Finishing, or paused while finishing.
+    get isFinishing() {
+        return this.#status === 'finishing' || (this.#status === 'paused' && this.#progress.pausedStatus === 'finishing');
+    }
+
+    // The plan in use; plans only apply to patterns timed by the phase time.
+    get plan() {
+        return this.#options.plan && patternUsesPhaseTime(this.pattern) ? this.#options.plan : null;
+    }
+
+    get segment() {
+        const plan = this.plan;
+        return plan ? plan.segments[this.#progress.segmentIndex] || null : null;
+    }
+
+    getPhase(index = this.#progress.phaseIndex) {
+        const phases = this.pattern.phases;
+        return phases[index] || phases[0];
+    }
+
+    getPhaseDuration(index = this.#progress.phaseIndex) {
+        const phase = this.getPhase(index);
+        if (phase.duration !== undefined) {
+            return phase.duration;
+        }
+        const { activePhaseTime } = this.#progress;
+        return (phase.beats || 1) * (activePhaseTime !== null ? activePhaseTime : this.#options.phaseTime);
+    }
+
+    getElapsedMs(now = performance.now()) {
+        const clock = this.#clock;
+        const reference = clock.pausedAt !== null ? clock.pausedAt : now;
+        return Math.max(0, reference - clock.startTime - clock.pausedDuration);
+    }
+
+    // How far through the current phase we are, from 0 to 1.
+    getPhaseProgress(now = performance.now()) {
+        if (this.#status === 'complete') {
+            return 1;
+        }
+        const phaseMs = this.getElapsedMs(now) - this.#progress.phaseStartMs;
+        return Math.max(0, Math.min(1, phaseMs / (this.getPhaseDuration() * 1000)));
+    }
+
+    // Length of one full cycle at the current phase time, and how far into it
+    // the cycle counts as done (before a trailing rest phase, if any).
+    getCycleTiming() {
+        const phases = this.pattern.phases;
+        let cycleMs = 0;
+        let endMs = 0;
+        phases.forEach((phase, index) => {
+            cycleMs += this.getPhaseDuration(index) * 1000;
+            if (this.#isCycleEnd((index + 1) % phases.length)) {
+                endMs = cycleMs;
+            }
+        });
+        return { cycleMs, endMs };
+    }
+
+    // Where the session is headed: `ms` is when it completes and `cycles` how
+    // many it will have done. Either may be null for plans; null overall for
+    // open-ended sessions.
+    getSessionTarget() {
+        const plan = this.plan;
+        if (plan) {
+            if (plan.segments.every(segment => segment.minutes)) {
+                return { ms: plan.segments.reduce((sum, segment) => sum + segment.minutes * 60000, 0), cycles: null };
+            }
+            if (plan.segments.every(segment => segment.cycles)) {
+                return { ms: null, cycles: plan.segments.reduce((sum, segment) => sum + segment.cycles, 0) };
+            }
+            return null;
+        }
+        let cycles = this.#options.cycles;
+        const limitMs = this.#getTimeLimitMs();
+        if (cycles === null && limitMs === null) {
+            return null;
+        }
+        const { cycleMs, endMs } = this.getCycleTiming();
+        if (cycles === null) {
+            // A time limit lets the cycle that is running when it hits finish.
+            cycles = Math.max(1, Math.ceil((limitMs - endMs) / cycleMs) + 1);
+        }
+        return { ms: (cycles - 1) * cycleMs + endMs, cycles };
+    }
+
+    // Fraction of the session done, or null when it has no known end.
+    getSessionProgress(elapsed = this.getElapsedMs()) {
+        const target = this.getSessionTarget();
+        if (!target) {
+            return null;
+        }
+        const fraction = target.ms !== null ? elapsed / target.ms : this.#progress.cycles / target.cycles;
+        return Math.max(0, Math.min(1, fraction));
+    }
+
+    // Elapsed time at which the session should start finishing, if any: the
+    // time limit, or the end of a plan's final timed segment.
+    getSessionLimitMs() {
+        const plan = this.plan;
+        if (!plan) {
+            return this.#getTimeLimitMs();
+        }
+        const { segmentIndex, segmentStartMs } = this.#progress;
+        const segment = this.segment;
+        if (segment && segment.minutes && segmentIndex === plan.segments.length - 1) {
+            return segmentStartMs + segment.minutes * 60000;
+        }
+        return null;
+    }
+
+    start() {
+        const previous = this.#status;
+        if (!this.#setStatus('running')) {
+            return false;
+        }
+        this.#resetProgress();
+        this.#resetClock();
+        this.#progress.startedAt = Date.now();
+        const segment = this.segment;
+        if (segment) {
+            this.#progress.activePhaseTime = this.#getSegmentPhaseTime(segment, 0);
+        }
+        this.#progress.countdown = Math.ceil(this.getPhaseDuration(0));
+        this.#emit('statuschange', { status: this.#status, previous });
+        this.#emit('phasechange', { index: 0, phase: this.getPhase(0), cycles: 0 });
+        this.#scheduleTick();
+        return true;
+    }
+
+    pause() {
+        const previous = this.#status;
+        if (!this.isActive || !this.#setStatus('paused')) {
+            return false;
+        }
+        clearTimeout(this.#tickTimeout);
+        this.#clock.pausedAt = performance.now();
+        this.#progress.pausedStatus = previous;
+        this.#emit('statuschange', { status: this.#status, previous });
+        return true;
+    }
+
+    resume() {
+        if (this.#status !== 'paused' || !this.#setStatus(this.#progress.pausedStatus || 'running')) {
+            return false;
+        }
+        this.#clock.pausedDuration += performance.now() - this.#clock.pausedAt;
+        this.#clock.pausedAt = null;
+        this.#progress.pausedStatus = null;
+        this.#emit('statuschange', { status: this.#status, previous: 'paused' });
+        this.#scheduleTick();
+        return true;
+    }
+
+    // Ends the session, or leaves the complete screen, and goes back to idle.
+    stop() {
+        const previous = this.#status;
+        if (previous === 'idle' || !this.#setStatus('idle')) {
+            return false;
+        }
+        clearTimeout(this.#tickTimeout);
+        this.#resetProgress();
+        this.#emit('statuschange', { status: this.#status, previous });
+        return true;
+    }
+
+    // Moves the session clock so that `elapsedMs` have passed, as when
+    // following another device's session. Going back replays the session
+    // from its start, so phases, cycles and plan segments come out as they
+    // would have. Events go out as for sync(). A paused session stays
+    // paused, showing the phase and countdown at the new time.
+    seek(elapsedMs, now = performance.now()) {
+        if (!this.isStarted || this.#status === 'complete') {
+            return false;
+        }
+        const target = Math.max(0, elapsedMs);
+        const clock = this.#clock;
+        const reference = clock.pausedAt !== null ? clock.pausedAt : now;
+        clock.startTime = reference - clock.pausedDuration - target;
+        if (target < this.#progress.phaseStartMs) {
+            const { startedAt, pausedStatus } = this.#progress;
+            this.#resetProgress();
+            this.#progress.startedAt = startedAt;
+            this.#progress.pausedStatus = pausedStatus;
+            const segment = this.segment;
+            if (segment) {
+                this.#progress.activePhaseTime = this.#getSegmentPhaseTime(segment, 0);
+            }
+            this.#replayed = true;
+        }
+        if (this.isActive) {
+            this.sync(now);
+            this.#scheduleTick();
+        } else {
+            // sync() only steps active sessions, so step this one as the
+            // status it was paused in, then pause it again.
+            this.#status = this.#progress.pausedStatus || 'running';
+            this.sync(now);
+            if (this.isActive) {
+                this.#progress.pausedStatus = this.#status;
+                this.#status = 'paused';
+            }
+        }
+        return true;
+    }
+
+    // Brings the session up to date with the clock. After the tab has been
+    // throttled or hidden this can step through several phases at once; the
+    // events go out afterwards. Returns true if anything visible changed.
+    sync(now = performance.now()) {
+        if (!this.isActive) {
+            return false;
+        }
+        const progress = this.#progress;
+        const elapsed = this.getElapsedMs(now);
+        let limitMs = this.getSessionLimitMs();
+        const previousIndex = progress.phaseIndex;
+        const previousTotal = progress.totalTime;
+        const previousStatus = this.#status;
+        const previousSegment = progress.segmentIndex;
+        let phaseChanged = this.#replayed;
+        this.#replayed = false;
+
+        while (this.isActive) {
+            const phaseEnd = progress.phaseStartMs + this.getPhaseDuration() * 1000;
+            if (this.#status === 'running' && limitMs !== null && Math.min(elapsed, phaseEnd) >= limitMs) {
+                this.#setStatus('finishing');
+            }
+            if (elapsed < phaseEnd) {
+                break;
+            }
+            progress.phaseIndex = (progress.phaseIndex + 1) % this.pattern.phases.length;
+            progress.phaseStartMs = phaseEnd;
+            phaseChanged = true;
+            if (this.#isCycleEnd(progress.phaseIndex)) {
+                progress.cycles += 1;
+                if (this.#status === 'running') {
+                    this.#advanceSegment(phaseEnd);
+                }
+                if (this.#status === 'running' && this.#isCycleLimitReached()) {
+                    this.#setStatus('finishing');
+                }
+                if (this.#status === 'finishing') {
+                    progress.totalTime = Math.floor(phaseEnd / 1000);
+                    this.#setStatus('complete');
+                    clearTimeout(this.#tickTimeout);
+                }
+                limitMs = this.getSessionLimitMs();
+            }
+            const segment = this.segment;
+            if (progress.phaseIndex === 0 && segment && this.isActive) {
+                progress.activePhaseTime = this.#getSegmentPhaseTime(segment, phaseEnd);
+            }
+        }
+
+        if (this.isActive) {
+            progress.totalTime = Math.floor(elapsed / 1000);
+            const phaseEnd = progress.phaseStartMs + this.getPhaseDuration() * 1000;
+            progress.countdown = Math.ceil((phaseEnd - elapsed) / 1000);
+        }
+
+        if (this.#status !== previousStatus) {
+            this.#emit('statuschange', { status: this.#status, previous: previousStatus });
+        }
+        if (progress.segmentIndex !== previousSegment) {
+            this.#emit('segmentchange', { index: progress.segmentIndex, segment: this.segment });
+        }
+        if (this.#status === 'complete') {
+            this.#emit('complete', { totalTime: progress.totalTime, cycles: progress.cycles });
+        } else {
+            if (phaseChanged) {
+                this.#emit('phasechange', { index: progress.phaseIndex, phase: this.getPhase(), cycles: progress.cycles });
+            }
+            if (progress.totalTime !== previousTotal) {
+                this.#emit('tick', {
+                    elapsed,
+                    totalTime: progress.totalTime,
+                    countdown: progress.countdown,
+                    phaseStarted: phaseChanged
+                });
+            }
+        }
+        return phaseChanged || progress.phaseIndex !== previousIndex
+            || progress.totalTime !== previousTotal || this.#status !== previousStatus;
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Refuses transitions the state machine doesn't allow; the public
+    // methods pass that on as their false return value.
+    #setStatus(next) {
+        if (!sessionTransitions[this.#status].includes(next)) {
+            return false;
+        }
+        this.#status = next;
+        return true;
+    }
+
+    #resetProgress() {
+        this.#progress = createProgress();
+        this.#progress.countdown = this.getPhaseDuration(0);
+    }
+
+    #resetClock(now = performance.now()) {
+        this.#clock = { startTime: now, pausedAt: null, pausedDuration: 0 };
+    }
+
+    // Wakes up at the next whole second or phase boundary, whichever comes first.
+    #scheduleTick() {
+        clearTimeout(this.#tickTimeout);
+        if (!this.isActive) {
+            return;
+        }
+        const elapsed = this.getElapsedMs();
+        const phaseEnd = this.#progress.phaseStartMs + this.getPhaseDuration() * 1000;
+        const untilNextSecond = 1000 - (elapsed % 1000);
+        const delay = Math.max(16, Math.min(untilNextSecond, phaseEnd - elapsed));
+        this.#tickTimeout = setTimeout(() => {
+            this.sync();
+            this.#scheduleTick();
+        }, delay);
+    }
+
+    #getTimeLimitMs() {
+        const minutes = this.#options.duration;
+        return minutes !== null ? minutes * 60 * 1000 : null;
+    }
+
+    // Cycle-count sessions end right at the boundary of their last cycle, so
+    // unlike a time limit there is no "finishing" stretch.
+    #isCycleLimitReached() {
+        const limit = this.#options.cycles;
+        return !this.plan && limit !== null && this.#progress.cycles >= limit;
+    }
+
+    // A cycle is over once the last breathing phase has finished: on entering
+    // a trailing rest phase if the pattern has one, otherwise on wrapping back
+    // to the first phase. Only one of the two counts, so cycles aren't doubled.
+    #isCycleEnd(nextIndex) {
+        const phases = this.pattern.phases;
+        const lastIndex = phases.length - 1;
+        return phases[lastIndex].animation === 'rest' ? nextIndex === lastIndex : nextIndex === 0;
+    }
+
+    // The phase time for a cycle starting at `boundaryMs` into the session.
+    // A segment's phase time may ramp linearly to its `endPhaseTime`, which
+    // its last cycle breathes: the last by count, or for a timed segment the
+    // one ending at or after its last minute.
+    #getSegmentPhaseTime(segment, boundaryMs) {
+        const { phaseTime: from, endPhaseTime: to } = segment;
+        if (to === null || to === undefined) {
+            return segment.phaseTime;
+        }
+        const { segmentStartMs, cycles, segmentStartCycle } = this.#progress;
+        let ramped;
+        if (segment.minutes) {
+            // Ramped to where the cycle ends. The cycle lasts fixedMs plus
+            // beats phase times, so solve for the phase time.
+            const phases = this.pattern.phases;
+            const fixedMs = phases.reduce((sum, phase) => sum + (phase.duration !== undefined ? phase.duration * 1000 : 0), 0);
+            const beats = phases.reduce((sum, phase) => sum + (phase.duration === undefined ? phase.beats || 1 : 0), 0);
+            const slope = (to - from) / (segment.minutes * 60000);
+            const divisor = 1 - slope * beats * 1000;
+            ramped = divisor > 0 ? (from + slope * (boundaryMs - segmentStartMs + fixedMs)) / divisor : to;
+        } else {
+            ramped = segment.cycles > 1 ? from + (to - from) * (cycles - segmentStartCycle) / (segment.cycles - 1) : from;
+        }
+        ramped = Math.min(Math.max(from, to), Math.max(Math.min(from, to), ramped));
+        return Math.round(ramped * 10) / 10;
+    }
+
+    #isSegmentDone(segment, boundaryMs) {
+        const { segmentStartMs, cycles, segmentStartCycle } = this.#progress;
+        return segment.minutes
+            ? boundaryMs - segmentStartMs >= segment.minutes * 60000
+            : cycles - segmentStartCycle >= segment.cycles;
+    }
+
+    // Called at every cycle boundary. Moves on to the next segment once the
+    // current one is used up; after the last segment the session finishes.
+    #advanceSegment(boundaryMs) {
+        const plan = this.plan;
+        const segment = this.segment;
+        if (!plan || !segment || !this.#isSegmentDone(segment, boundaryMs)) {
+            return;
+        }
+        const progress = this.#progress;
+        if (progress.segmentIndex >= plan.segments.length - 1) {
+            if (this.#status === 'running') {
+                this.#setStatus('finishing');
+            }
+            return;
+        }
+        progress.segmentIndex += 1;
+        progress.segmentStartMs = boundaryMs;
+        progress.segmentStartCycle = progress.cycles;
+    }
+}